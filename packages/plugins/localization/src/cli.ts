@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+import { promises } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import Localization from "./index";
+import { formatReport } from "./validate";
+
+const usage = `Usage:
+  aezen-localization validate <path> [options]
+  aezen-localization types <path> [options]
+
+Options:
+  --reference <language>   Language the others are compared against (default: en)
+  --languages <list>       Comma-separated languages to check (default: all)
+  --threshold <percent>    Minimum coverage for a language to pass (default: 100)
+  --format <text|json>     Output format (default: text)
+  --out <file>             File to write the generated declaration to (default: stdout)
+  --help                   Show this message`;
+
+async function main(): Promise<number> {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      reference: { type: "string" },
+      languages: { type: "string" },
+      threshold: { type: "string" },
+      format: { type: "string", default: "text" },
+      out: { type: "string" },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  const [command, directory] = positionals;
+
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+
+  if ((command !== "validate" && command !== "types") || !directory) {
+    console.error(usage);
+    return 2;
+  }
+
+  const threshold = values.threshold === undefined ? 100 : Number(values.threshold);
+
+  if (Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+    console.error(`Invalid threshold provided. Expected a number between 0 and 100. Received ${values.threshold}`);
+    return 2;
+  }
+
+  if (values.format !== "text" && values.format !== "json") {
+    console.error(`Invalid format provided. Expected text or json. Received ${values.format}`);
+    return 2;
+  }
+
+  const localization = new Localization({ path: path.resolve(directory) });
+  await localization.init();
+
+  if (command === "types") {
+    const declaration = localization.generateTypes(values.reference);
+
+    if (values.out) {
+      await promises.writeFile(path.resolve(values.out), declaration, "utf-8");
+    } else {
+      process.stdout.write(declaration);
+    }
+
+    return 0;
+  }
+
+  const report = localization.validate({
+    reference: values.reference,
+    languages: values.languages?.split(",").map((language) => language.trim()).filter(Boolean),
+    threshold,
+  });
+
+  console.log(formatReport(report, values.format));
+  return report.passed ? 0 : 1;
+}
+
+// exitCode lets piped output drain before the process ends.
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error: any) => {
+    console.error(error.message);
+    process.exitCode = 2;
+  });
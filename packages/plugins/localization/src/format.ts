@@ -0,0 +1,259 @@
+export type PlaceholderValue = string | number | bigint | boolean | Date;
+
+export type Placeholders = Record<string, PlaceholderValue>;
+
+type MessagePart =
+  | string
+  | { type: "pound" }
+  | { type: "argument"; name: string; format?: string; style?: string; source: string }
+  | { type: "plural" | "selectordinal" | "select"; name: string; offset: number; options: Record<string, MessagePart[]>; source: string };
+
+const messages: Map<string, MessagePart[]> = new Map();
+const formatters: Map<string, Intl.NumberFormat | Intl.DateTimeFormat | Intl.PluralRules> = new Map();
+
+// Messages without plural, select or format arguments keep the original "{name}" substitution, so apostrophes in
+// existing translations like "Run '{command}'" are never treated as ICU quotes.
+function parseSimpleMessage(message: string): MessagePart[] {
+  return message.split(/(\{\w+\})/).filter(Boolean).map((text) => /^\{\w+\}$/.test(text)
+    ? { type: "argument", name: text.slice(1, -1), source: text }
+    : text);
+}
+
+function parseMessage(message: string): MessagePart[] {
+  if (!/\{\s*\w+\s*,/.test(message)) {
+    return parseSimpleMessage(message);
+  }
+
+  let index = 0;
+
+  const fail = (expected: string): never => {
+    throw new Error(`Invalid message format. Expected ${expected} at position ${index}. Received ${message}`);
+  };
+
+  const skipWhitespace = () => {
+    while (/\s/.test(message[index] ?? "")) index++;
+  };
+
+  const readUntil = (pattern: RegExp): string => {
+    const start = index;
+    while (index < message.length && !pattern.test(message[index])) index++;
+    return message.slice(start, index).trim();
+  };
+
+  const parseParts = (inPlural: boolean, nested: boolean): MessagePart[] => {
+    const parts: MessagePart[] = [];
+    let text = "";
+
+    const flush = () => {
+      if (text) parts.push(text);
+      text = "";
+    };
+
+    while (index < message.length) {
+      const char = message[index];
+
+      // Apostrophes only quote when followed by a syntax character, so "don't" stays untouched.
+      if (char === "'" && message[index + 1] === "'") {
+        text += "'";
+        index += 2;
+      } else if (char === "'" && (/[{}]/.test(message[index + 1] ?? "") || (inPlural && message[index + 1] === "#"))) {
+        const end = message.indexOf("'", index + 1);
+        text += message.slice(index + 1, end === -1 ? message.length : end);
+        index = end === -1 ? message.length : end + 1;
+      } else if (char === "{" && /^\{\s*\w+\s*[,}]/.test(message.slice(index))) {
+        flush();
+        parts.push(parseArgument(inPlural));
+      } else if (char === "}" && nested) {
+        break;
+      } else if (char === "#" && inPlural) {
+        flush();
+        parts.push({ type: "pound" });
+        index++;
+      } else {
+        text += char;
+        index++;
+      }
+    }
+
+    flush();
+    return parts;
+  };
+
+  const parseArgument = (inPlural: boolean): MessagePart => {
+    const start = index++;
+    const name = readUntil(/[,}]/);
+
+    if (message[index] === "}") {
+      index++;
+      return { type: "argument", name, source: message.slice(start, index) };
+    }
+
+    index++;
+    const format = readUntil(/[,}]/);
+
+    if (format !== "plural" && format !== "selectordinal" && format !== "select") {
+      const style = message[index] === "," ? (index++, readUntil(/\}/)) : undefined;
+      if (message[index] !== "}") fail("'}'");
+
+      index++;
+      return { type: "argument", name, format, style, source: message.slice(start, index) };
+    }
+
+    if (message[index] !== ",") fail("','");
+    index++;
+    skipWhitespace();
+
+    let offset = 0;
+    const options: Record<string, MessagePart[]> = {};
+
+    if (message.startsWith("offset:", index)) {
+      index += "offset:".length;
+      offset = Number(readUntil(/\s/));
+      if (Number.isNaN(offset)) fail("a numeric offset");
+    }
+
+    while (true) {
+      skipWhitespace();
+
+      if (message[index] === "}") break;
+      if (index >= message.length) fail("'}'");
+
+      const selector = readUntil(/[\s{}]/);
+      skipWhitespace();
+
+      if (!selector || message[index] !== "{") fail("'{'");
+      index++;
+
+      options[selector] = parseParts(format === "select" ? inPlural : true, true);
+
+      if (message[index] !== "}") fail("'}'");
+      index++;
+    }
+
+    if (!options.other) {
+      throw new Error(`Invalid message format. Expected an 'other' option for '${name}'. Received ${message}`);
+    }
+
+    index++;
+    return { type: format, name, offset, options, source: message.slice(start, index) };
+  };
+
+  return parseParts(false, false);
+}
+
+function getFormatter<T extends Intl.NumberFormat | Intl.DateTimeFormat | Intl.PluralRules>(
+  type: new (locale?: string, options?: any) => T,
+  locale: string | undefined,
+  options: object = {}
+): T {
+  const key = `${type.name}:${locale}:${JSON.stringify(options)}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new type(locale, options));
+  }
+
+  return formatters.get(key) as T;
+}
+
+function numberOptions(style?: string): Intl.NumberFormatOptions {
+  switch (style) {
+    case undefined:
+      return {};
+    case "integer":
+      return { maximumFractionDigits: 0 };
+    case "percent":
+      return { style: "percent" };
+    case "compact":
+      return { notation: "compact" };
+    default:
+      if (/^[A-Z]{3}$/.test(style)) return { style: "currency", currency: style };
+      throw new Error(`Invalid number style provided. Expected integer, percent, compact or a currency code. Received ${style}`);
+  }
+}
+
+function formatValue(value: PlaceholderValue, locale: string | undefined, format?: string, style?: string): string {
+  if (format === "date" || format === "time" || (!format && value instanceof Date)) {
+    const date = value instanceof Date ? value : new Date(value as string | number);
+    const options = format === "time" ? { timeStyle: style ?? "short" } : format === "date" ? { dateStyle: style ?? "medium" } : {};
+
+    return getFormatter(Intl.DateTimeFormat, locale, options).format(date);
+  }
+
+  if (format === "number" || (!format && (typeof value === "number" || typeof value === "bigint"))) {
+    return getFormatter(Intl.NumberFormat, locale, numberOptions(style)).format(value as number | bigint);
+  }
+
+  return String(value);
+}
+
+function formatParts(parts: MessagePart[], placeholders: Placeholders, locale: string | undefined, pound?: number): string {
+  let result = "";
+
+  for (const part of parts) {
+    if (typeof part === "string") {
+      result += part;
+      continue;
+    }
+
+    if (part.type === "pound") {
+      result += pound === undefined ? "#" : formatValue(pound, locale);
+      continue;
+    }
+
+    const value = placeholders[part.name];
+
+    if (value === undefined || value === null) {
+      result += part.source;
+    } else if (part.type === "argument") {
+      result += formatValue(value, locale, part.format, part.style);
+    } else if (part.type === "select") {
+      result += formatParts(part.options[String(value)] ?? part.options.other, placeholders, locale, pound);
+    } else {
+      const number = Number(value) - part.offset;
+      const rules = getFormatter(Intl.PluralRules, locale, { type: part.type === "plural" ? "cardinal" : "ordinal" });
+      const option = part.options[`=${Number(value)}`] ?? part.options[rules.select(number)] ?? part.options.other;
+
+      result += formatParts(option, placeholders, locale, number);
+    }
+  }
+
+  return result;
+}
+
+export function resolveLocale(language: string): string | undefined {
+  try {
+    return Intl.getCanonicalLocales(language.replace(/_/g, "-"))[0];
+  } catch {
+    return undefined;
+  }
+}
+
+// Maps every placeholder name to the most specific format it is used with, e.g. "plural" or "date".
+export function getPlaceholders(message: string): Map<string, string | undefined> {
+  const names: Map<string, string | undefined> = new Map();
+
+  const collect = (parts: MessagePart[]) => {
+    for (const part of parts) {
+      if (typeof part === "string" || part.type === "pound") continue;
+
+      const format = part.type === "argument" ? part.format : part.type;
+      if (!names.get(part.name)) names.set(part.name, format);
+      if (part.type !== "argument") Object.values(part.options).forEach(collect);
+    }
+  };
+
+  if (!messages.has(message)) {
+    messages.set(message, parseMessage(message));
+  }
+
+  collect(messages.get(message)!);
+  return names;
+}
+
+export function formatMessage(message: string, placeholders: Placeholders, language: string): string {
+  if (!messages.has(message)) {
+    messages.set(message, parseMessage(message));
+  }
+
+  return formatParts(messages.get(message)!, placeholders, resolveLocale(language));
+}
@@ -1,25 +1,130 @@
 import { EventEmitter } from "events";
-import { promises } from "fs";
+import { promises, watch, type FSWatcher } from "fs";
 import path from "path";
+import { formatMessage, type Placeholders } from "./format";
+import { defaultLoaders, type Loader } from "./loaders";
+import { generateTypes } from "./typegen";
+import { validateLanguage, type ValidateOptions, type ValidationReport } from "./validate";
+
+export type { Placeholders, PlaceholderValue } from "./format";
+export { parseYaml, parseProperties, parsePo, type Loader, type LoaderContext } from "./loaders";
+export * from "./validate";
+export { generateTypes } from "./typegen";
+
+// Augmented by the declaration `aezen-localization types` generates, which turns on typed keys and placeholders.
+export interface TranslationKeys {}
+
+export type TranslationKey = keyof TranslationKeys extends never ? string : keyof TranslationKeys & string;
+
+type PlaceholdersFor<K> = K extends keyof TranslationKeys ? TranslationKeys[K] : Placeholders;
+
+type PlaceholderArgs<K> = {} extends PlaceholdersFor<K> ? [placeholders?: PlaceholdersFor<K>] : [placeholders: PlaceholdersFor<K>];
+
+type ScopedKey<P extends string> = string extends TranslationKey
+  ? string
+  : P extends ""
+    ? TranslationKey
+    : TranslationKey extends infer K ? (K extends `${P}.${infer Rest}` ? Rest : never) : never;
+
+type ScopedPath<P extends string, K extends string> = P extends "" ? K : `${P}.${K}`;
+
+export type FixedT<P extends string = ""> = <K extends ScopedKey<P>>(key: K, ...placeholders: PlaceholderArgs<ScopedPath<P, K>>) => string;
+
+export type MissingKeyHandler = (language: string, key: string, placeholders: Placeholders) => string;
+
+export type MissingKeyStrategy = "throw" | "key" | "placeholder" | MissingKeyHandler;
 
 interface LocalizationOptions {
   path: string;
   autoReload?: boolean;
+  // Milliseconds to wait after the last file change before reloading.
+  reloadDebounce?: number;
+  // Deprecated and ignored. Reloads used to run on this interval and now follow file changes instead.
   autoReloadInterval?: number;
+  fallbackLanguage?: string | string[];
+  fallbacks?: Record<string, string[]>;
+  missingKey?: MissingKeyStrategy;
+  missingKeyPlaceholder?: string;
+  directoryStructure?: "language" | "namespace";
+  loaders?: Record<string, Loader>;
+}
+
+interface HasOptions {
+  fallback?: boolean;
+}
+
+export interface ReloadEvent {
+  languages: string[];
+  keys: Record<string, string[]>;
+}
+
+interface TranslationFile {
+  language: string;
+  namespace: string[];
+  data: object;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function merge(target: Record<string, unknown>, source: Record<string, unknown>): Record<string, unknown> {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = isPlainObject(value) && isPlainObject(target[key])
+      ? merge(target[key] as Record<string, unknown>, value)
+      : value;
+  }
+
+  return target;
+}
+
+function flatten(value: unknown, prefix: string = "", result: Map<string, string> = new Map()): Map<string, string> {
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, result);
+    }
+  } else if (prefix) {
+    result.set(prefix, JSON.stringify(value));
+  }
+
+  return result;
 }
 
 export default class Localization extends EventEmitter {
   public options: LocalizationOptions;
   public languages: Map<string, object>;
   public initialized: boolean;
-  public autoReloadInterval: NodeJS.Timeout | null;
+  public watchers: FSWatcher[];
+  public loaders: Map<string, Loader>;
+  private files: Map<string, TranslationFile>;
+  private directories: string[];
+  private reloading: Promise<ReloadEvent>;
+  private reloadTimer: NodeJS.Timeout | null;
 
   constructor(options: LocalizationOptions) {
     super();
     this.options = options;
     this.languages = new Map();
     this.initialized = false;
-    this.autoReloadInterval = null;
+    this.reloadTimer = null;
+    this.watchers = [];
+    this.loaders = new Map();
+    this.files = new Map();
+    this.directories = [];
+    this.reloading = Promise.resolve({ languages: [], keys: {} });
+
+    if (options.autoReloadInterval !== undefined) {
+      process.emitWarning("The autoReloadInterval option is ignored since reloads follow file changes. Use reloadDebounce instead.", "DeprecationWarning");
+    }
+
+    for (const [extension, loader] of Object.entries({ ...defaultLoaders, ...options.loaders })) {
+      this.registerLoader(extension, loader);
+    }
+  }
+
+  // Deprecated. Holds the pending debounced reload, which is null until a file changes.
+  public get autoReloadInterval(): NodeJS.Timeout | null {
+    return this.reloadTimer;
   }
 
   public async init(): Promise<void> {
@@ -34,7 +139,7 @@ export default class Localization extends EventEmitter {
     }
 
     try {
-      await this.processDirectory(this.options.path, this.languages);
+      await this.load(true);
       this.emit("ready");
       this.initialized = true;
 
@@ -46,31 +151,86 @@ export default class Localization extends EventEmitter {
     }
   }
 
-  public getKey(language: string, key: string, placeholders: Record<string, string> = {}): string {
+  public getKey<K extends TranslationKey>(language: string, key: K, ...args: PlaceholderArgs<K>): string {
     if (!this.initialized) throw new Error("Localization has not been initialized.")
 
-    const languageData = this.languages.get(language);
+    const placeholders = (args[0] ?? {}) as Placeholders;
 
-    if (!languageData) {
+    const chain = this.getFallbackChain(language).filter((candidate) => this.languages.has(candidate));
+
+    if (chain.length === 0 && (this.options.missingKey ?? "throw") === "throw") {
       throw new Error(`Invalid language provided. Expected a valid language. Received ${language}`);
     }
 
-    const keys = key.split(".");
-    let nestedValue: any = languageData;
+    for (const candidate of chain) {
+      const value = this.resolveKey(this.languages.get(candidate)!, key);
 
-    for (const nestedKey of keys) {
-      if (!nestedValue[nestedKey]) {
-        throw new Error(`Invalid key provided. Expected a valid key. Received ${key}`);
+      if (value === undefined) {
+        continue;
       }
 
-      nestedValue = nestedValue[nestedKey];
+      if (candidate !== language) {
+        this.emit("missingKey", language, key, candidate);
+      }
+
+      return typeof value === "string" ? formatMessage(value, placeholders, candidate) : value;
     }
 
-    if (typeof nestedValue === "string" && Object.keys(placeholders).length > 0) {
-      nestedValue = this.replacePlaceholders(nestedValue, placeholders);
+    this.emit("missingKey", language, key, null);
+
+    return this.handleMissingKey(language, key, placeholders);
+  }
+
+  public getFixedT<P extends string = "">(language: string, prefix?: P): FixedT<P> {
+    return ((key: string, placeholders?: Placeholders) => {
+      return this.getKey(language, (prefix ? `${prefix}.${key}` : key) as TranslationKey, placeholders as any);
+    }) as FixedT<P>;
+  }
+
+  // Only the requested language is checked unless `fallback` is set, so has() answers "is this translated?".
+  public has(language: string, key: string, options: HasOptions = {}): boolean {
+    if (!this.initialized) throw new Error("Localization has not been initialized.")
+
+    const chain = options.fallback ? this.getFallbackChain(language) : [language];
+
+    return chain.some((candidate) => {
+      const languageData = this.languages.get(candidate);
+      return languageData !== undefined && this.resolveKey(languageData, key) !== undefined;
+    });
+  }
+
+  public generateTypes(reference?: string): string {
+    if (!this.initialized) throw new Error("Localization has not been initialized.")
+
+    const language = reference ?? [this.options.fallbackLanguage ?? "en"].flat()[0];
+    const languageData = this.languages.get(language);
+
+    if (!languageData) {
+      throw new Error(`Invalid reference language provided. Expected a valid language. Received ${language}`);
     }
 
-    return nestedValue;
+    return generateTypes(languageData);
+  }
+
+  public getFallbackChain(language: string): string[] {
+    const chain: Set<string> = new Set();
+    const fallbacks = this.options.fallbacks ?? {};
+
+    // Explicit fallbacks come before the automatic region fallback, e.g. es-MX → es-419 → es.
+    const expand = (current: string) => {
+      if (!current || chain.has(current)) return;
+
+      chain.add(current);
+      (fallbacks[current] ?? []).forEach(expand);
+
+      const separator = current.search(/[-_][^-_]*$/);
+      if (separator > 0) expand(current.slice(0, separator));
+    };
+
+    expand(language);
+    [this.options.fallbackLanguage ?? []].flat().forEach(expand);
+
+    return [...chain];
   }
 
   public getRaw(language: string): object {
@@ -85,29 +245,138 @@ export default class Localization extends EventEmitter {
     return languageData;
   }
 
+  public validate(options: ValidateOptions = {}): ValidationReport {
+    if (!this.initialized) throw new Error("Localization has not been initialized.")
+
+    const reference = options.reference ?? [this.options.fallbackLanguage ?? "en"].flat()[0];
+    const threshold = options.threshold ?? 100;
+    const referenceData = this.languages.get(reference);
+
+    if (!referenceData) {
+      throw new Error(`Invalid reference language provided. Expected a valid language. Received ${reference}`);
+    }
+
+    const languages = (options.languages ?? [...this.languages.keys()].filter((language) => language !== reference)).map((language) => {
+      const languageData = this.languages.get(language);
+
+      if (!languageData) {
+        throw new Error(`Invalid language provided. Expected a valid language. Received ${language}`);
+      }
+
+      return validateLanguage(referenceData, languageData, language, threshold);
+    });
+
+    return {
+      reference,
+      threshold,
+      totalKeys: flatten(referenceData).size,
+      passed: languages.every((language) => language.passed),
+      languages,
+    };
+  }
+
   public getLanguages(): Map<string, object> {
     if (!this.initialized) throw new Error("Localization has not been initialized.")
 
     return this.languages;
   }
 
+  public registerLoader(extensions: string | string[], loader: Loader): this {
+    for (const extension of [extensions].flat()) {
+      if (!extension) throw new Error("Extension must be non-empty");
+
+      this.loaders.set(`.${extension.replace(/^\./, "").toLowerCase()}`, loader);
+    }
+
+    return this;
+  }
+
+  public reload(): Promise<ReloadEvent> {
+    // Reloads are chained so a slow read never overwrites the result of a newer one.
+    this.reloading = this.reloading.catch(() => {}).then(() => this.load(false));
+    return this.reloading;
+  }
+
   public setupAutoReload(): void {
-    const { autoReloadInterval } = this.options;
+    this.stopAutoReload();
+
+    try {
+      this.watchers = [watch(this.options.path, { recursive: true }, () => this.scheduleReload())];
+    } catch (error) {
+      // Recursive watching is unavailable on some platforms, so every directory is watched instead.
+      this.watchers = [this.options.path, ...this.directories].map((directory) => watch(directory, () => this.scheduleReload()));
+    }
+
+    for (const watcher of this.watchers) {
+      watcher.on("error", (error) => console.error(`Error during auto-reload: ${error.message}`));
+    }
+  }
+
+  public stopAutoReload(): void {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+  }
+
+  private scheduleReload(): void {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+    }
+
+    this.reloadTimer = setTimeout(async () => {
+      this.reloadTimer = null;
 
-    this.autoReloadInterval = setInterval(async () => {
       try {
-        await this.processDirectory(this.options.path, this.languages);
-        this.emit("reload");
+        const directories = this.directories.length;
+        await this.reload();
+
+        if (this.watchers.length > 1 && this.directories.length !== directories) {
+          this.setupAutoReload();
+        }
       } catch (error: any) {
         console.error(`Error during auto-reload: ${error.message}`);
       }
-    }, autoReloadInterval);
+    }, this.options.reloadDebounce ?? 100);
   }
 
-  public stopAutoReload(): void {
-    if (this.autoReloadInterval) {
-      clearInterval(this.autoReloadInterval);
-      this.autoReloadInterval = null;
+  // Literal keys are tried before dotted paths, so keys like gettext's "File saved." still resolve.
+  private resolveKey(languageData: any, key: string): any {
+    if (typeof languageData !== "object" || languageData === null) {
+      return undefined;
+    }
+
+    if (Object.hasOwn(languageData, key)) {
+      return languageData[key];
+    }
+
+    for (let index = key.indexOf("."); index !== -1; index = key.indexOf(".", index + 1)) {
+      const head = key.slice(0, index);
+
+      if (Object.hasOwn(languageData, head)) {
+        const value = this.resolveKey(languageData[head], key.slice(index + 1));
+        if (value !== undefined) return value;
+      }
+    }
+
+    return undefined;
+  }
+
+  private handleMissingKey(language: string, key: string, placeholders: Placeholders): string {
+    const strategy = this.options.missingKey ?? "throw";
+
+    switch (strategy) {
+      case "throw":
+        throw new Error(`Invalid key provided. Expected a valid key. Received ${key}`);
+      case "key":
+        return key;
+      case "placeholder":
+        return (this.options.missingKeyPlaceholder ?? "[missing: {key}]").replace("{key}", key).replace("{language}", language);
+      default:
+        return strategy(language, key, placeholders);
     }
   }
 
@@ -120,34 +389,103 @@ export default class Localization extends EventEmitter {
     }
   }
 
-  private async processDirectory(directoryPath: string, currentMap: Map<string, object>): Promise<void> {
-    try {
-      // const isDirectory = (await promises.stat(directoryPath)).isDirectory();
-      const entries = await promises.readdir(directoryPath);
+  private async load(strict: boolean): Promise<ReloadEvent> {
+    const files: Map<string, TranslationFile> = new Map();
+    const directories: string[] = [];
 
-      for (const entry of entries) {
-        const entryPath = path.join(directoryPath, entry);
-        const isSubfolder = (await promises.stat(entryPath)).isDirectory();
+    await this.processDirectory(this.options.path, [], files, directories, strict);
 
-        if (isSubfolder) {
-          continue;
-        }
+    const languages: Map<string, object> = new Map();
+    const sorted = [...files.values()].sort((a, b) => a.namespace.length - b.namespace.length);
 
-        if (path.extname(entry) === ".json") {
-          const content = await promises.readFile(entryPath, "utf-8");
-          const entryWithoutExtension = path.parse(entry).name;
+    for (const { language, namespace, data } of sorted) {
+      const languageData = (languages.get(language) ?? {}) as Record<string, unknown>;
+      const target = namespace.reduce((node, segment) => {
+        if (!isPlainObject(node[segment])) node[segment] = {};
+        return node[segment] as Record<string, unknown>;
+      }, languageData);
 
-          currentMap.set(entryWithoutExtension, JSON.parse(content));
-        }
+      merge(target, structuredClone(data) as Record<string, unknown>);
+      languages.set(language, languageData);
+    }
+
+    const event: ReloadEvent = { languages: [], keys: {} };
+
+    for (const language of new Set([...this.languages.keys(), ...languages.keys()])) {
+      const previous = flatten(this.languages.get(language));
+      const current = flatten(languages.get(language));
+      const keys = [...new Set([...previous.keys(), ...current.keys()])].filter((key) => previous.get(key) !== current.get(key));
+
+      if (keys.length > 0) {
+        event.languages.push(language);
+        event.keys[language] = keys;
       }
-    } catch (error) {
-      throw error;
     }
+
+    // Everything is swapped in synchronously, so lookups never see a half-loaded directory.
+    this.files = files;
+    this.directories = directories;
+    this.languages.clear();
+    languages.forEach((data, language) => this.languages.set(language, data));
+
+    if (!strict && event.languages.length > 0) {
+      this.emit("reload", event);
+    }
+
+    return event;
   }
 
-  private replacePlaceholders(string: string, placeholders: Record<string, string>): string {
-    return string.replace(/\{(\w+)\}/g, (match, placeholder) => {
-      return placeholders[placeholder] || match;
-    });
+  private async processDirectory(
+    directoryPath: string,
+    segments: string[],
+    files: Map<string, TranslationFile>,
+    directories: string[],
+    strict: boolean
+  ): Promise<void> {
+    const entries = await promises.readdir(directoryPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const entryPath = path.join(directoryPath, entry.name);
+
+      if (entry.isDirectory()) {
+        directories.push(entryPath);
+        await this.processDirectory(entryPath, [...segments, entry.name], files, directories, strict);
+        continue;
+      }
+
+      const loader = this.loaders.get(path.extname(entry.name).toLowerCase());
+
+      if (!loader) {
+        continue;
+      }
+
+      const name = path.parse(entry.name).name;
+      const [language, namespace] = this.options.directoryStructure === "namespace" || segments.length === 0
+        ? [name, segments]
+        : [segments[0], [...segments.slice(1), name]];
+
+      try {
+        const content = await promises.readFile(entryPath, "utf-8");
+        const data = await loader(content, { path: entryPath, language });
+
+        if (typeof data !== "object" || data === null || Array.isArray(data)) {
+          throw new Error(`Expected the "${path.extname(entry.name)}" loader to return an object`);
+        }
+
+        files.set(entryPath, { language, namespace, data });
+      } catch (error: any) {
+        if (strict) {
+          throw new Error(`Failed to load "${entryPath}": ${error.message}`);
+        }
+
+        // A file caught mid-write keeps its last good version until the next change.
+        const previous = this.files.get(entryPath);
+        console.error(`Error during auto-reload: Failed to load "${entryPath}": ${error.message}`);
+
+        if (previous) {
+          files.set(entryPath, previous);
+        }
+      }
+    }
   }
-}
\ No newline at end of file
+}
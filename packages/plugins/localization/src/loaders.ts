@@ -0,0 +1,493 @@
+export interface LoaderContext {
+  path: string;
+  language: string;
+}
+
+export type Loader = (content: string, context: LoaderContext) => object | Promise<object>;
+
+type PluralExpression = (n: number) => number;
+
+interface PoEntry {
+  context?: string;
+  id?: string;
+  plural?: string;
+  strings: string[];
+  fuzzy: boolean;
+}
+
+const pluralOrder = ["zero", "one", "two", "few", "many", "other"];
+
+// Throws instead of overwriting, so "a=1" followed by "a.b=2" never silently drops a translation.
+function setPath(target: Record<string, any>, key: string, value: unknown): void {
+  const segments = key.split(".");
+  const last = segments.pop()!;
+
+  segments.forEach((segment, position) => {
+    if (!Object.hasOwn(target, segment)) {
+      target[segment] = {};
+    } else if (typeof target[segment] !== "object") {
+      throw new Error(`Conflicting key "${key}". "${segments.slice(0, position + 1).join(".")}" already has a value`);
+    }
+
+    target = target[segment];
+  });
+
+  if (typeof target[last] === "object") {
+    throw new Error(`Conflicting key "${key}". It already has nested keys`);
+  }
+
+  target[last] = value;
+}
+
+function parseYamlScalar(value: string, line: number): unknown {
+  if (value.startsWith("\"")) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error(`Invalid YAML string at line ${line}`);
+    }
+  }
+
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) throw new Error(`Invalid YAML string at line ${line}`);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  // ICU messages like "{count, plural, ...}" start with a brace but are not flow mappings.
+  if (/^[[&*!]/.test(value) || (value.startsWith("{") && !/^\{\s*\w+\s*[,}]/.test(value))) {
+    throw new Error(`Unsupported YAML syntax at line ${line}. Flow collections, anchors, aliases and tags are not supported`);
+  }
+
+  if (value === "true" || value === "false") return value === "true";
+  if (value === "null" || value === "~") return null;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  return value;
+}
+
+function stripYamlComment(value: string): string {
+  const quote = value.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')/);
+
+  if (quote) {
+    return quote[1];
+  }
+
+  return value.replace(/\s+#.*$/, "").trim();
+}
+
+// Covers the block subset translation files use: nested mappings, sequences, quoted and block scalars.
+// Flow collections are not supported, so `{count, plural, ...}` messages can be written unquoted. Anything
+// outside the subset throws rather than being read as a string.
+export function parseYaml(content: string): object {
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  let index = 0;
+
+  const indentOf = (line: string) => line.match(/^ */)![0].length;
+
+  const skip = () => {
+    while (index < lines.length && /^\s*(#.*)?$|^(---|\.\.\.)\s*$/.test(lines[index])) index++;
+  };
+
+  const parseBlockScalar = (indicator: string, indent: number): string => {
+    const collected: string[] = [];
+    let blockIndent: number | null = null;
+
+    while (index < lines.length) {
+      const line = lines[index];
+
+      if (line.trim() === "") {
+        collected.push("");
+        index++;
+        continue;
+      }
+
+      if (indentOf(line) <= indent) break;
+
+      blockIndent ??= indentOf(line);
+      collected.push(line.slice(blockIndent));
+      index++;
+    }
+
+    let end = collected.length;
+    while (end > 0 && collected[end - 1] === "") end--;
+
+    const body = collected.slice(0, end);
+    const text = indicator.startsWith(">")
+      ? body.reduce((result, line, position) => {
+        if (position === 0) return line;
+        if (line === "") return `${result}\n`;
+        return result + (body[position - 1] === "" ? "" : " ") + line;
+      }, "")
+      : body.join("\n");
+
+    if (indicator.endsWith("-")) return text;
+    if (indicator.endsWith("+")) return text + "\n".repeat(collected.length - end + 1);
+
+    return `${text}\n`;
+  };
+
+  const parseValue = (rest: string, indent: number, line: number): unknown => {
+    const value = stripYamlComment(rest);
+
+    if (value === "") {
+      skip();
+
+      const next = lines[index];
+
+      if (next === undefined) return null;
+      if (indentOf(next) > indent) return parseBlock(indentOf(next));
+      if (indentOf(next) === indent && /^-(\s|$)/.test(next.slice(indent))) return parseSequence(indent);
+
+      return null;
+    }
+
+    if (/^[|>][+-]?$/.test(value)) {
+      return parseBlockScalar(value, indent);
+    }
+
+    const scalar = parseYamlScalar(value, line);
+    skip();
+
+    if (index < lines.length && indentOf(lines[index]) > indent) {
+      throw new Error(`Unsupported YAML syntax at line ${index + 1}. Multi-line plain scalars must be quoted or use a block scalar`);
+    }
+
+    return scalar;
+  };
+
+  const parseSequence = (indent: number): unknown[] => {
+    const result: unknown[] = [];
+
+    while (true) {
+      skip();
+
+      const line = lines[index];
+      if (line === undefined || indentOf(line) !== indent || !/^-(\s|$)/.test(line.slice(indent))) break;
+
+      const rest = line.slice(indent + 1).trimStart();
+
+      if (/^[^\s"'#][^:]*:(\s|$)/.test(rest)) {
+        // A mapping that starts on the dash line is re-read as if the dash were indentation.
+        const offset = line.length - rest.length;
+        lines[index] = " ".repeat(offset) + rest;
+        result.push(parseMapping(offset));
+      } else {
+        index++;
+        result.push(parseValue(rest, indent, index));
+      }
+    }
+
+    return result;
+  };
+
+  const parseMapping = (indent: number): Record<string, unknown> => {
+    const result: Record<string, unknown> = {};
+
+    while (true) {
+      skip();
+
+      const line = lines[index];
+      if (line === undefined || indentOf(line) < indent) break;
+
+      if (indentOf(line) > indent) {
+        throw new Error(`Invalid YAML indentation at line ${index + 1}`);
+      }
+
+      const match = line.slice(indent).match(/^(?:"((?:[^"\\]|\\.)*)"|'((?:[^']|'')*)'|([^\s#'"-][^:]*?|-[^\s:][^:]*?))\s*:(?:\s+(.*))?$/);
+
+      if (!match) {
+        if (/^-(\s|$)/.test(line.slice(indent))) break;
+        throw new Error(`Invalid YAML mapping at line ${index + 1}`);
+      }
+
+      const key = match[1] !== undefined ? JSON.parse(`"${match[1]}"`) : match[2] !== undefined ? match[2].replace(/''/g, "'") : match[3];
+      index++;
+      result[key] = parseValue(match[4] ?? "", indent, index);
+    }
+
+    return result;
+  };
+
+  const parseBlock = (indent: number): unknown => {
+    skip();
+
+    const line = lines[index];
+    if (line === undefined) return {};
+
+    return /^-(\s|$)/.test(line.slice(indent)) ? parseSequence(indent) : parseMapping(indent);
+  };
+
+  skip();
+  const result = lines[index] === undefined ? {} : parseBlock(indentOf(lines[index]));
+  skip();
+
+  if (index < lines.length) {
+    throw new Error(`Invalid YAML indentation at line ${index + 1}`);
+  }
+
+  return result as object;
+}
+
+function unescapeProperties(value: string): string {
+  return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, escape: string) => {
+    if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return { n: "\n", t: "\t", r: "\r", f: "\f" }[escape] ?? escape;
+  });
+}
+
+export function parseProperties(content: string): object {
+  const result: Record<string, unknown> = {};
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+
+  for (let index = 0; index < lines.length; index++) {
+    let line = lines[index].trimStart();
+
+    if (!line || line.startsWith("#") || line.startsWith("!")) {
+      continue;
+    }
+
+    // An odd number of trailing backslashes continues the value on the next line.
+    while (/(^|[^\\])(\\\\)*\\$/.test(line) && index + 1 < lines.length) {
+      line = line.slice(0, -1) + lines[++index].trimStart();
+    }
+
+    const match = line.match(/^((?:[^\\:=\s]|\\.)*)\s*[:=\s]\s*(.*)$/);
+    const [key, value] = match ? [match[1], match[2]] : [line, ""];
+
+    setPath(result, unescapeProperties(key), unescapeProperties(value));
+  }
+
+  return result;
+}
+
+function compilePluralExpression(expression: string): PluralExpression | null {
+  const tokens = expression.match(/\d+|n|\|\||&&|[=!<>]=|[?:<>%+\-*/!()]/g) ?? [];
+  const operators: Record<string, (a: number, b: number) => number>[] = [
+    { "||": (a, b) => +(a || b) },
+    { "&&": (a, b) => +(a && b) },
+    { "==": (a, b) => +(a === b), "!=": (a, b) => +(a !== b) },
+    { "<": (a, b) => +(a < b), ">": (a, b) => +(a > b), "<=": (a, b) => +(a <= b), ">=": (a, b) => +(a >= b) },
+    { "+": (a, b) => a + b, "-": (a, b) => a - b },
+    { "*": (a, b) => a * b, "/": (a, b) => Math.trunc(a / b), "%": (a, b) => a % b },
+  ];
+  let index = 0;
+
+  if (tokens.join("") !== expression.replace(/\s+/g, "")) {
+    return null;
+  }
+
+  const parseUnary = (): PluralExpression => {
+    const token = tokens[index++];
+
+    if (token === "!" || token === "-") {
+      const operand = parseUnary();
+      return token === "!" ? (n) => +!operand(n) : (n) => -operand(n);
+    }
+
+    if (token === "(") {
+      const inner = parseTernary();
+      if (tokens[index++] !== ")") throw new Error("Expected ')'");
+      return inner;
+    }
+
+    if (token === "n") return (n) => n;
+    if (/^\d+$/.test(token ?? "")) return () => Number(token);
+
+    throw new Error(`Unexpected token ${token}`);
+  };
+
+  const parseBinary = (level: number): PluralExpression => {
+    if (level === operators.length) return parseUnary();
+
+    let left = parseBinary(level + 1);
+
+    while (Object.hasOwn(operators[level], tokens[index] ?? "")) {
+      const operator = operators[level][tokens[index++]];
+      const [leftOperand, rightOperand] = [left, parseBinary(level + 1)];
+      left = (n) => operator(leftOperand(n), rightOperand(n));
+    }
+
+    return left;
+  };
+
+  const parseTernary = (): PluralExpression => {
+    const condition = parseBinary(0);
+    if (tokens[index] !== "?") return condition;
+
+    index++;
+    const consequent = parseTernary();
+    if (tokens[index++] !== ":") throw new Error("Expected ':'");
+    const alternate = parseTernary();
+
+    return (n) => condition(n) ? consequent(n) : alternate(n);
+  };
+
+  try {
+    const compiled = parseTernary();
+    return index === tokens.length ? compiled : null;
+  } catch {
+    return null;
+  }
+}
+
+function pluralOptions(strings: string[], expression: PluralExpression | null, language: string): string[] {
+  let rules: Intl.PluralRules;
+
+  try {
+    rules = new Intl.PluralRules(language.replace(/_/g, "-"));
+  } catch {
+    rules = new Intl.PluralRules("en");
+  }
+
+  const forms = strings.length;
+  const categories = [...rules.resolvedOptions().pluralCategories].sort((a, b) => pluralOrder.indexOf(a) - pluralOrder.indexOf(b));
+  const mapping: Map<string, number> = new Map();
+
+  if (!expression) {
+    // Without a Plural-Forms header, msgstr[n] is assumed to follow CLDR category order.
+    categories.forEach((category, index) => mapping.set(category, Math.min(index, forms - 1)));
+    return [...mapping].map(([category, form]) => `${category} {${strings[form]}}`);
+  }
+
+  // Sampling maps gettext's index expression onto the CLDR categories Intl.PluralRules selects.
+  const votes: Map<string, number[]> = new Map(categories.map((category) => [category, new Array(forms).fill(0)]));
+
+  for (let n = 0; n < 200; n++) {
+    const form = expression(n);
+    if (form >= 0 && form < forms) votes.get(rules.select(n))![form]++;
+  }
+
+  for (const [category, counts] of votes) {
+    const best = Math.max(...counts);
+    mapping.set(category, best === 0 ? forms - 1 : counts.indexOf(best));
+  }
+
+  // Numbers the categories get wrong become exact matches, so no gettext form is lost.
+  const exact: [number, number][] = [];
+
+  for (let n = 0; n < 200; n++) {
+    const form = expression(n);
+
+    if (form >= 0 && form < forms && form !== mapping.get(rules.select(n))) {
+      if (n >= 100) {
+        throw new Error(`Plural-Forms cannot be expressed with the plural categories of '${language}'`);
+      }
+
+      exact.push([n, form]);
+    }
+  }
+
+  const other = mapping.get("other")!;
+
+  return [
+    ...exact.map(([n, form]) => `=${n} {${strings[form]}}`),
+    ...[...mapping]
+      .filter(([category, form]) => category === "other" || form !== other)
+      .map(([category, form]) => `${category} {${strings[form]}}`),
+  ];
+}
+
+// gettext writes the count as a printf directive, while ICU plural branches use #.
+function toPluralBranch(value: string): string {
+  return value.replace(/#/g, "'#'").replace(/%(?:\d+\$)?[diu]/g, "#");
+}
+
+function unescapePo(value: string): string {
+  return value.slice(1, -1).replace(/\\(.)/g, (_, escape: string) => ({ n: "\n", t: "\t", r: "\r" })[escape] ?? escape);
+}
+
+export function parsePo(content: string, context: LoaderContext): object {
+  const entries: PoEntry[] = [];
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  let entry: PoEntry = { strings: [], fuzzy: false };
+  let field: { name: "context" | "id" | "plural" } | { name: "strings"; index: number } | null = null;
+
+  const finish = () => {
+    if (entry.id !== undefined) entries.push(entry);
+    entry = { strings: [], fuzzy: false };
+    field = null;
+  };
+
+  for (const [index, raw] of lines.entries()) {
+    const line = raw.trim();
+
+    if (line === "") {
+      finish();
+    } else if (line.startsWith("#")) {
+      if (field && (field.name === "strings" || field.name === "plural")) finish();
+      if (line.startsWith("#,") && line.includes("fuzzy")) entry.fuzzy = true;
+    } else if (line.startsWith("\"")) {
+      if (!field) throw new Error(`Invalid PO string at line ${index + 1}`);
+
+      if (field.name === "strings") {
+        entry.strings[field.index] += unescapePo(line);
+      } else {
+        entry[field.name] += unescapePo(line);
+      }
+    } else {
+      const match = line.match(/^(msgctxt|msgid|msgid_plural|msgstr)(?:\[(\d+)\])?\s+(".*")$/);
+
+      if (!match) {
+        throw new Error(`Invalid PO keyword at line ${index + 1}`);
+      }
+
+      const [, keyword, position, value] = match;
+
+      if ((keyword === "msgctxt" || keyword === "msgid") && (entry.id !== undefined || entry.strings.length > 0)) {
+        finish();
+      }
+
+      if (keyword === "msgstr") {
+        field = { name: "strings", index: Number(position ?? 0) };
+        entry.strings[field.index] = unescapePo(value);
+      } else {
+        field = { name: keyword === "msgctxt" ? "context" : keyword === "msgid" ? "id" : "plural" };
+        entry[field.name] = unescapePo(value);
+      }
+    }
+  }
+
+  finish();
+
+  const result: Record<string, unknown> = {};
+  const header = entries.find((entry) => entry.id === "" && entry.context === undefined);
+  const pluralForms = header?.strings[0]?.match(/Plural-Forms:\s*nplurals\s*=\s*(\d+)\s*;\s*plural\s*=\s*([^;\n]+)/);
+  const expression = pluralForms ? compilePluralExpression(pluralForms[2].trim()) : null;
+
+  for (const { context: messageContext, id, plural, strings, fuzzy } of entries) {
+    // Fuzzy and untranslated entries are skipped so lookups fall back like any other missing key.
+    if (!id || fuzzy || strings.length === 0 || strings.some((string) => !string)) {
+      continue;
+    }
+
+    // msgids are source sentences, so they stay literal keys; only msgctxt adds a level of nesting.
+    let target = result;
+
+    if (messageContext) {
+      if (typeof result[messageContext] !== "object" || result[messageContext] === null) {
+        result[messageContext] = {};
+      }
+
+      target = result[messageContext] as Record<string, unknown>;
+    }
+
+    if (plural === undefined) {
+      target[id] = strings[0];
+      continue;
+    }
+
+    const options = pluralOptions(strings.map(toPluralBranch), expression, context.language);
+    target[id] = `{count, plural, ${options.join(" ")}}`;
+  }
+
+  return result;
+}
+
+export const defaultLoaders: Record<string, Loader> = {
+  ".json": (content) => JSON.parse(content),
+  ".yaml": parseYaml,
+  ".yml": parseYaml,
+  ".properties": parseProperties,
+  ".po": parsePo,
+  ".pot": parsePo,
+};
@@ -0,0 +1,67 @@
+import { getPlaceholders } from "./format";
+
+interface GenerateTypesOptions {
+  moduleName?: string;
+}
+
+const placeholderTypes: Record<string, string> = {
+  plural: "number",
+  selectordinal: "number",
+  select: "string",
+  number: "number | bigint",
+  date: "Date | number",
+  time: "Date | number",
+};
+
+function describe(value: unknown): string {
+  if (typeof value !== "string") {
+    return "{}";
+  }
+
+  let placeholders: Map<string, string | undefined>;
+
+  try {
+    placeholders = getPlaceholders(value);
+  } catch {
+    return "Placeholders";
+  }
+
+  if (placeholders.size === 0) {
+    return "{}";
+  }
+
+  const fields = [...placeholders].map(([name, format]) => `${JSON.stringify(name)}: ${placeholderTypes[format ?? ""] ?? "PlaceholderValue"}`);
+  return `{ ${fields.join("; ")} }`;
+}
+
+function collect(value: unknown, prefix: string, lines: string[]): void {
+  if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      collect(child, prefix ? `${prefix}.${key}` : key, lines);
+    }
+  } else if (prefix) {
+    lines.push(`    ${JSON.stringify(prefix)}: ${describe(value)};`);
+  }
+}
+
+export function generateTypes(languageData: object, options: GenerateTypesOptions = {}): string {
+  const moduleName = options.moduleName ?? "@aezen/localization";
+  const lines: string[] = [];
+
+  collect(languageData, "", lines);
+
+  const imports = ["Placeholders", "PlaceholderValue"].filter((name) => lines.some((line) => new RegExp(`\\b${name}\\b`).test(line)));
+
+  // The import (or an empty export) keeps this file a module, so the block below augments instead of replacing.
+  return [
+    "// This file is generated by `aezen-localization types`. Do not edit it by hand.",
+    imports.length > 0 ? `import type { ${imports.join(", ")} } from ${JSON.stringify(moduleName)};` : "export {};",
+    "",
+    `declare module ${JSON.stringify(moduleName)} {`,
+    "  interface TranslationKeys {",
+    ...lines,
+    "  }",
+    "}",
+    "",
+  ].join("\n");
+}
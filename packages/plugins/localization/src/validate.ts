@@ -0,0 +1,165 @@
+import chalk from "chalk";
+import { getPlaceholders } from "./format";
+
+export interface ValidateOptions {
+  reference?: string;
+  languages?: string[];
+  threshold?: number;
+}
+
+export interface TypeMismatch {
+  key: string;
+  expected: string;
+  received: string;
+}
+
+export interface PlaceholderMismatch {
+  key: string;
+  missing: string[];
+  extra: string[];
+}
+
+export interface MessageSyntaxError {
+  key: string;
+  message: string;
+}
+
+export interface LanguageReport {
+  language: string;
+  coverage: number;
+  passed: boolean;
+  missing: string[];
+  extra: string[];
+  typeMismatches: TypeMismatch[];
+  placeholderMismatches: PlaceholderMismatch[];
+  syntaxErrors: MessageSyntaxError[];
+}
+
+export interface ValidationReport {
+  reference: string;
+  threshold: number;
+  totalKeys: number;
+  passed: boolean;
+  languages: LanguageReport[];
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function leaves(value: unknown, prefix: string): string[] {
+  if (typeOf(value) !== "object") {
+    return [prefix];
+  }
+
+  return Object.entries(value as object).flatMap(([key, child]) => leaves(child, `${prefix}.${key}`));
+}
+
+function placeholdersOf(message: string, key: string, errors: MessageSyntaxError[]): string[] | null {
+  try {
+    return [...getPlaceholders(message).keys()];
+  } catch (error: any) {
+    errors.push({ key, message: error.message });
+    return null;
+  }
+}
+
+export function validateLanguage(reference: object, target: object, language: string, threshold: number): LanguageReport {
+  const report: LanguageReport = {
+    language,
+    coverage: 100,
+    passed: true,
+    missing: [],
+    extra: [],
+    typeMismatches: [],
+    placeholderMismatches: [],
+    syntaxErrors: [],
+  };
+
+  let total = 0;
+  let translated = 0;
+
+  const compare = (expected: Record<string, unknown>, received: Record<string, unknown>, prefix: string) => {
+    for (const [key, value] of Object.entries(expected)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+
+      if (!Object.hasOwn(received, key)) {
+        const keys = leaves(value, path);
+        total += keys.length;
+        report.missing.push(...keys);
+      } else if (typeOf(value) !== typeOf(received[key])) {
+        total += leaves(value, path).length;
+        report.typeMismatches.push({ key: path, expected: typeOf(value), received: typeOf(received[key]) });
+      } else if (typeOf(value) === "object") {
+        compare(value as Record<string, unknown>, received[key] as Record<string, unknown>, path);
+      } else {
+        total++;
+        translated++;
+
+        if (typeof value !== "string") continue;
+
+        const expectedPlaceholders = placeholdersOf(value, path, []);
+        const receivedPlaceholders = placeholdersOf(received[key] as string, path, report.syntaxErrors);
+
+        if (!expectedPlaceholders || !receivedPlaceholders) continue;
+
+        const missing = expectedPlaceholders.filter((name) => !receivedPlaceholders.includes(name));
+        const extra = receivedPlaceholders.filter((name) => !expectedPlaceholders.includes(name));
+
+        if (missing.length > 0 || extra.length > 0) {
+          report.placeholderMismatches.push({ key: path, missing, extra });
+        }
+      }
+    }
+
+    for (const [key, value] of Object.entries(received)) {
+      if (!Object.hasOwn(expected, key)) {
+        report.extra.push(...leaves(value, prefix ? `${prefix}.${key}` : key));
+      }
+    }
+  };
+
+  compare(reference as Record<string, unknown>, target as Record<string, unknown>, "");
+
+  report.coverage = total === 0 ? 100 : Math.floor((translated / total) * 10000) / 100;
+  report.passed = report.coverage >= threshold
+    && report.typeMismatches.length === 0
+    && report.placeholderMismatches.length === 0
+    && report.syntaxErrors.length === 0;
+
+  return report;
+}
+
+export function formatReport(report: ValidationReport, format: "text" | "json" = "text"): string {
+  if (format === "json") {
+    return JSON.stringify(report, null, 2);
+  }
+
+  const lines = [chalk.bold(`Reference: ${report.reference} (${report.totalKeys} keys, threshold ${report.threshold}%)`)];
+
+  const section = (title: string, items: string[]) => {
+    if (items.length === 0) return;
+
+    lines.push(`  ${title} (${items.length}):`);
+    lines.push(...items.map((item) => chalk.gray(`    - ${item}`)));
+  };
+
+  for (const language of report.languages) {
+    const status = language.passed ? chalk.green("✔") : chalk.red("✖");
+
+    lines.push("", `${status} ${chalk.bold(language.language)} — ${language.coverage}% coverage`);
+    section("Missing keys", language.missing);
+    section("Extra keys", language.extra);
+    section("Type mismatches", language.typeMismatches.map(({ key, expected, received }) => `${key}: expected ${expected}, received ${received}`));
+    section("Placeholder mismatches", language.placeholderMismatches.map(({ key, missing, extra }) => [
+      key,
+      ...missing.map((name) => `missing {${name}}`),
+      ...extra.map((name) => `unexpected {${name}}`),
+    ].join(" ")));
+    section("Syntax errors", language.syntaxErrors.map(({ key, message }) => `${key}: ${message}`));
+  }
+
+  return lines.join("\n");
+}
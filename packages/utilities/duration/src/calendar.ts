@@ -0,0 +1,120 @@
+export interface WallClock {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  second: number;
+  millisecond: number;
+}
+
+export interface CalendarDifference {
+  months: number;
+  days: number;
+  remainder: number;
+}
+
+const formatters: Map<string, Intl.DateTimeFormat> = new Map();
+
+function getFormatter(timeZone?: string): Intl.DateTimeFormat {
+  const key = timeZone ?? "";
+
+  if (!formatters.has(key)) {
+    try {
+      formatters.set(key, new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      }));
+    } catch {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+  }
+
+  return formatters.get(key)!;
+}
+
+function toUTC(wall: WallClock): number {
+  const date = new Date(0);
+
+  // setUTCFullYear keeps years below 100 from being read as 19xx.
+  date.setUTCFullYear(wall.year, wall.month - 1, wall.day);
+  date.setUTCHours(wall.hour, wall.minute, wall.second, wall.millisecond);
+
+  return date.getTime();
+}
+
+function daysInMonth(year: number, month: number): number {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, 0);
+
+  return date.getUTCDate();
+}
+
+export function getWallClock(instant: number, timeZone?: string): WallClock {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: ((instant % 1000) + 1000) % 1000,
+  };
+}
+
+export function fromWallClock(wall: WallClock, timeZone?: string): number {
+  const utc = toUTC(wall);
+  const offset = (instant: number) => toUTC(getWallClock(instant, timeZone)) - instant;
+
+  // A second pass corrects the guess when it lands on the other side of a DST transition.
+  return utc - offset(utc - offset(utc));
+}
+
+export function addCalendar(instant: number, years: number, months: number, days: number, timeZone?: string): number {
+  const wall = getWallClock(instant, timeZone);
+  const totalMonths = wall.month - 1 + years * 12 + months;
+  const year = wall.year + Math.floor(totalMonths / 12);
+  const month = (((totalMonths % 12) + 12) % 12) + 1;
+
+  // Month-end clamping: Jan 31 + 1 month is the last day of February.
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, Math.min(wall.day, daysInMonth(year, month)) + days);
+
+  return fromWallClock({
+    ...wall,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  }, timeZone);
+}
+
+export function calendarDifference(start: number, end: number, timeZone?: string): CalendarDifference {
+  const from = getWallClock(start, timeZone);
+  const to = getWallClock(end, timeZone);
+
+  let months = (to.year - from.year) * 12 + to.month - from.month;
+  let anchor = addCalendar(start, 0, months, 0, timeZone);
+
+  while (months > 0 && anchor > end) {
+    anchor = addCalendar(start, 0, --months, 0, timeZone);
+  }
+
+  const anchorWall = getWallClock(anchor, timeZone);
+  let days = Math.round((toUTC({ ...to, hour: 0, minute: 0, second: 0, millisecond: 0 })
+    - toUTC({ ...anchorWall, hour: 0, minute: 0, second: 0, millisecond: 0 })) / 86400000);
+  let target = addCalendar(anchor, 0, 0, days, timeZone);
+
+  while (days > 0 && target > end) {
+    target = addCalendar(anchor, 0, 0, --days, timeZone);
+  }
+
+  return { months, days, remainder: end - target };
+}
@@ -1,11 +1,37 @@
 import BigNumber from "bignumber.js";
 import { DEFAULT_UNITS, TimeTypes, Time } from "./constants";
+import { addCalendar, calendarDifference, fromWallClock, getWallClock } from "./calendar";
+import { getUnitName, registerLanguage, resolveLocale, type LanguagePack } from "./locales";
+import { DurationParseError, parseTimeOfDay, suggest, WEEKDAYS } from "./parser";
 
 type SeparatorOptions = {
   right: string;
   left: string;
 }
 
+export type DurationLike = Duration | string | number;
+
+export type DateOptions = {
+  calendar?: boolean;
+  timeZone?: string;
+}
+
+export type ParseOptions = {
+  strict?: boolean;
+}
+
+export type RelativeOptions = {
+  now?: Date | number;
+  timeZone?: string;
+}
+
+export type RelativeTime = {
+  duration: Duration;
+  date: Date;
+}
+
+const relativeWords = ["in", "ago", "from", "now", "at", "today", "tomorrow", "yesterday", "next", "last", "this", "week", "month", "year", "noon", "midnight", "am", "pm", ...WEEKDAYS];
+
 const tokens: Map<string, BigNumber> = new Map([
   ["nanoseconds", Time.Nanosecond],
   ["nanosecond", Time.Nanosecond],
@@ -148,7 +174,10 @@ const tokens: Map<string, BigNumber> = new Map([
   ["ty", Time.Terayear]
 ]);
 
-const TimeMappings: Map<BigNumber, string> = new Map([
+type TimeField = "nanoseconds" | "microseconds" | "milliseconds" | "seconds" | "minutes" | "hours" | "days" | "weeks"
+  | "months" | "years" | "decades" | "centuries" | "millennia" | "megayears" | "gigayears" | "terayears";
+
+const TimeMappings: Map<BigNumber, TimeField> = new Map([
   [Time.Nanosecond, "nanoseconds"],
   [Time.Microsecond, "microseconds"],
   [Time.Millisecond, "milliseconds"],
@@ -209,6 +238,11 @@ export class Duration {
   private static readonly patternRegex = /(-?\d*\.?\d+(?:e[-+]?\d+)?)\s*([a-zμ]*)/gi;
   private static readonly commaRegex = /,/g;
   private static readonly aAndAnRegex = /\ban?\b/gi;
+  private static readonly strictRegex = /(?<separator>[\s,]+|and\b)|(?<count>-?(?:\d[\d,]*)?\.?\d+(?:e[-+]?\d+)?|\ban?\b)\s*(?<unit>[a-zμ]*)|(?<other>\S+)/giy;
+  private static readonly inRegex = /^(\s*in\s+)(.+?)\s*$/;
+  private static readonly agoRegex = /^(\s*)(.+?)\s+(ago|from now)\s*$/;
+  private static readonly dayRegex = /^\s*(?:(today|tomorrow|yesterday)|(?:(next|last|this)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)|(next|last)\s+(week|month|year))?(?:\s*\bat\s+(.+?))?\s*$/;
+  private static readonly isoRegex = /^([-+])?P(?!$)(?:([-+]?\d+(?:[.,]\d+)?)Y)?(?:([-+]?\d+(?:[.,]\d+)?)M)?(?:([-+]?\d+(?:[.,]\d+)?)W)?(?:([-+]?\d+(?:[.,]\d+)?)D)?(?:T(?!$)(?:([-+]?\d+(?:[.,]\d+)?)H)?(?:([-+]?\d+(?:[.,]\d+)?)M)?(?:([-+]?\d+(?:[.,]\d+)?)S)?)?$/i;
 
   constructor(pattern: string | number) {
     this.units = DEFAULT_UNITS;
@@ -217,19 +251,355 @@ export class Duration {
       : new BigNumber(pattern);
   }
 
+  public static fromISO(iso: string): Duration {
+    const match = Duration.isoRegex.exec(iso.trim());
+
+    if (!match) {
+      throw new Error(`Invalid ISO 8601 duration: ${iso}`);
+    }
+
+    const sign = match[1] === "-" ? -1 : 1;
+    const units = [Time.Year, Time.Month, Time.Week, Time.Day, Time.Hour, Time.Minute, Time.Second];
+    const duration = new Duration(0);
+
+    match.slice(2).forEach((component, index) => {
+      if (component === undefined) return;
+
+      const count = new BigNumber(component.replace(",", ".")).times(sign);
+      duration.ms = duration.ms.plus(count.times(units[index]));
+
+      duration[TimeMappings.get(units[index])!] += count.toNumber();
+    });
+
+    return duration;
+  }
+
+  public static fromJSON(json: string | Record<string, string | number | BigNumber>): Duration {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    const duration = new Duration(0);
+    let valid = false;
+
+    for (const [type, value] of TimeValues) {
+      if (data[type] === undefined) continue;
+
+      const count = new BigNumber(data[type]);
+      duration.ms = duration.ms.plus(count.times(value));
+      valid = true;
+
+      duration[TimeMappings.get(value)!] += count.toNumber();
+    }
+
+    if (!valid) {
+      duration.ms = new BigNumber(NaN);
+    }
+
+    return duration;
+  }
+
+  public static parse(pattern: string, options: ParseOptions = {}): Duration {
+    return options.strict ? Duration.parseStrict(pattern) : new Duration(pattern);
+  }
+
+  public static validate(pattern: string): DurationParseError[] {
+    return Duration.scan(pattern).errors;
+  }
+
+  // Durations move the calendar, so "in 1 month" from Jan 31 lands on the last day of February.
+  public static relative(phrase: string, options: RelativeOptions = {}): RelativeTime {
+    const now = options.now === undefined ? Date.now() : new Date(options.now).getTime();
+    const { timeZone } = options;
+    const text = phrase.toLowerCase();
+
+    if (text.trim() === "now") {
+      return { duration: new Duration(0), date: new Date(now) };
+    }
+
+    let match = Duration.inRegex.exec(text);
+
+    if (match) {
+      const duration = Duration.parseStrict(match[2], match[1].length);
+      return { duration, date: duration.dateFrom(new Date(now), { calendar: true, timeZone }) };
+    }
+
+    match = Duration.agoRegex.exec(text);
+
+    if (match) {
+      const parsed = Duration.parseStrict(match[2], match[1].length);
+      const duration = match[3] === "ago" ? parsed.negate() : parsed;
+
+      return { duration, date: duration.dateFrom(new Date(now), { calendar: true, timeZone }) };
+    }
+
+    match = Duration.dayRegex.exec(text);
+
+    if (!match || match.slice(1).every((group) => group === undefined)) {
+      const word = [...text.matchAll(/[a-z]+/g)].find(([value]) => !relativeWords.includes(value));
+      const token = word?.[0] ?? phrase.trim();
+      const position = word?.index ?? phrase.length - phrase.trimStart().length;
+      const suggestions = suggest(token, relativeWords);
+
+      throw new DurationParseError(`Invalid relative time. Unexpected "${token}" at position ${position}.${Duration.didYouMean(suggestions)}`, token, position, suggestions);
+    }
+
+    const [, day, modifier, weekday, direction, period, time] = match;
+    let years = 0;
+    let months = 0;
+    let days = day === "tomorrow" ? 1 : day === "yesterday" ? -1 : 0;
+
+    if (weekday) {
+      const wall = getWallClock(now, timeZone);
+      const current = new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+      const target = WEEKDAYS.indexOf(weekday);
+
+      // "next friday" is the coming Friday, never today; a bare "friday" may be today.
+      if (modifier === "last") {
+        days = -((current - target + 7) % 7 || 7);
+      } else {
+        days = (target - current + 7) % 7 || (modifier === "next" ? 7 : 0);
+      }
+    } else if (period) {
+      const sign = direction === "next" ? 1 : -1;
+
+      if (period === "week") days = sign * 7;
+      if (period === "month") months = sign;
+      if (period === "year") years = sign;
+    }
+
+    let instant = addCalendar(now, years, months, days, timeZone);
+
+    if (time !== undefined) {
+      const position = text.trimEnd().length - time.length;
+      const parsed = parseTimeOfDay(time);
+
+      if (!parsed) {
+        throw new DurationParseError(`Invalid relative time. Invalid time of day "${time}" at position ${position}.`, time, position);
+      }
+
+      const at = (base: number) => fromWallClock({ ...getWallClock(base, timeZone), hour: parsed.hour, minute: parsed.minute, second: 0, millisecond: 0 }, timeZone);
+      instant = at(instant);
+
+      // A bare "at 5pm" means the next time the clock reads 5pm.
+      if (match.slice(1, 6).every((group) => group === undefined) && instant <= now) {
+        instant = at(addCalendar(now, 0, 0, 1, timeZone));
+      }
+    }
+
+    return { duration: Duration.between(now, instant, { timeZone }), date: new Date(instant) };
+  }
+
+  public static registerLanguage(locale: string, pack: LanguagePack): void {
+    registerLanguage(locale, pack);
+  }
+
+  public static min(...durations: DurationLike[]): Duration {
+    if (durations.length === 0) throw new Error("At least one duration is required");
+
+    return durations.map(Duration.from).reduce((min, duration) => duration.ms.lt(min.ms) ? duration : min);
+  }
+
+  public static max(...durations: DurationLike[]): Duration {
+    if (durations.length === 0) throw new Error("At least one duration is required");
+
+    return durations.map(Duration.from).reduce((max, duration) => duration.ms.gt(max.ms) ? duration : max);
+  }
+
+  public static sum(...durations: DurationLike[]): Duration {
+    return durations.map(Duration.from).reduce((sum, duration) => sum.add(duration), new Duration(0));
+  }
+
+  private static parseStrict(pattern: string, offset: number = 0): Duration {
+    const { duration, errors } = Duration.scan(pattern, offset);
+
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+
+    return duration;
+  }
+
+  // Unlike calculateOffset(), every character has to belong to a number, a known unit or a separator.
+  private static scan(pattern: string, offset: number = 0): { duration: Duration; errors: DurationParseError[] } {
+    const duration = new Duration(0);
+    const errors: DurationParseError[] = [];
+
+    if (pattern.trim() !== "" && !isNaN(Number(pattern))) {
+      return { duration: new Duration(pattern), errors };
+    }
+
+    const regex = new RegExp(Duration.strictRegex);
+    let valid = false;
+    let match: RegExpExecArray | null;
+
+    while ((match = regex.exec(pattern)) !== null) {
+      const { count, unit, other } = match.groups!;
+      const position = offset + match.index;
+
+      if (other !== undefined) {
+        const message = tokens.has(other.toLowerCase())
+          ? `Expected a number before "${other}" at position ${position}.`
+          : `Unexpected "${other}" at position ${position}.`;
+
+        errors.push(new DurationParseError(`Invalid duration. ${message}`, other, position));
+      } else if (count !== undefined && unit === "") {
+        errors.push(new DurationParseError(`Invalid duration. Missing unit after "${count}" at position ${position}.`, count, position));
+      } else if (count !== undefined) {
+        const token = tokens.get(unit.toLowerCase());
+        const unitPosition = position + match[0].length - unit.length;
+
+        if (token === undefined) {
+          const suggestions = suggest(unit.toLowerCase(), tokens.keys());
+          errors.push(new DurationParseError(`Invalid duration. Unknown unit "${unit}" at position ${unitPosition}.${Duration.didYouMean(suggestions)}`, unit, unitPosition, suggestions));
+          continue;
+        }
+
+        const num = new BigNumber(/^an?$/i.test(count) ? 1 : count.replace(Duration.commaRegex, ""));
+        duration.ms = duration.ms.plus(num.times(token));
+        valid = true;
+
+        duration[TimeMappings.get(token)!] += num.toNumber();
+      }
+    }
+
+    if (!valid && errors.length === 0) {
+      errors.push(new DurationParseError(`Invalid duration. Expected a duration at position ${offset}.`, pattern, offset));
+    }
+
+    return { duration, errors };
+  }
+
+  private static didYouMean(suggestions: string[]): string {
+    return suggestions.length > 0 ? ` Did you mean ${suggestions.map((suggestion) => `"${suggestion}"`).join(", ")}?` : "";
+  }
+
+  private static from(value: DurationLike): Duration {
+    return value instanceof Duration ? value : new Duration(value);
+  }
+
+  private static create(ms: BigNumber, fields: (field: TimeField) => number = () => 0): Duration {
+    const duration = new Duration(0);
+    duration.ms = ms;
+
+    for (const field of TimeMappings.values()) {
+      duration[field] = fields(field);
+    }
+
+    return duration;
+  }
+
   public isNaN(): boolean {
     return this.ms.isNaN();
   }
+
+  // Parsed components are carried along so results still work with calendar-aware dateFrom().
+  public add(other: DurationLike): Duration {
+    const duration = Duration.from(other);
+    return Duration.create(this.ms.plus(duration.ms), (field) => this[field] + duration[field]);
+  }
+
+  public subtract(other: DurationLike): Duration {
+    return this.add(Duration.from(other).negate());
+  }
+
+  public multiply(factor: number | string | BigNumber): Duration {
+    const multiplier = new BigNumber(factor);
+    return Duration.create(this.ms.times(multiplier), (field) => this[field] * multiplier.toNumber());
+  }
+
+  public divide(divisor: number | string | BigNumber): Duration {
+    const value = new BigNumber(divisor);
+
+    if (value.isZero()) {
+      throw new Error("Cannot divide a duration by zero");
+    }
+
+    return Duration.create(this.ms.dividedBy(value), (field) => this[field] / value.toNumber());
+  }
+
+  public negate(): Duration {
+    return this.multiply(-1);
+  }
+
+  public abs(): Duration {
+    return this.ms.isNegative() ? this.negate() : this;
+  }
+
+  public compareTo(other: DurationLike): number {
+    return this.ms.comparedTo(Duration.from(other).ms) ?? NaN;
+  }
+
+  public equals(other: DurationLike): boolean {
+    return this.compareTo(other) === 0;
+  }
+
+  public isLongerThan(other: DurationLike): boolean {
+    return this.compareTo(other) > 0;
+  }
+
+  public isShorterThan(other: DurationLike): boolean {
+    return this.compareTo(other) < 0;
+  }
+
+  public round(unit: string): Duration {
+    return this.roundTo(unit, BigNumber.ROUND_HALF_UP);
+  }
+
+  public floor(unit: string): Duration {
+    return this.roundTo(unit, BigNumber.ROUND_FLOOR);
+  }
+
+  public ceil(unit: string): Duration {
+    return this.roundTo(unit, BigNumber.ROUND_CEIL);
+  }
+
+  public as(unit: string): number {
+    return this.ms.dividedBy(this.resolveUnit(unit)).toNumber();
+  }
   
-  public fromNow(): Date {
-    return this.dateFrom(new Date());
+  public fromNow(options: DateOptions = {}): Date {
+    return this.dateFrom(new Date(), options);
   }
 
-  public dateFrom(date: Date): Date {
-    return new Date(date.getTime() + this.ms.toNumber());
+  public dateFrom(date: Date, options: DateOptions = {}): Date {
+    if (!options.calendar) {
+      return new Date(date.getTime() + this.ms.toNumber());
+    }
+
+    const { years, months, days, remainder } = this.calendarComponents();
+    const instant = addCalendar(date.getTime(), years, months, days, options.timeZone);
+
+    return new Date(instant + remainder.toNumber());
   }
 
-  public verbose(precision: number = 7, separators: SeparatorOptions = { right: " ", left: " " }) {
+  public static between(start: Date | number, end: Date | number, options: Omit<DateOptions, "calendar"> = {}): Duration {
+    const from = Number(start);
+    const to = Number(end);
+    const duration = new Duration(to - from);
+
+    if (duration.isNaN()) {
+      return duration;
+    }
+
+    const sign = to < from ? -1 : 1;
+    const { months, days, remainder } = sign === 1
+      ? calendarDifference(from, to, options.timeZone)
+      : calendarDifference(to, from, options.timeZone);
+
+    let rest = new BigNumber(remainder);
+
+    duration.years = sign * Math.trunc(months / 12) || 0;
+    duration.months = sign * (months % 12) || 0;
+    duration.days = sign * days || 0;
+
+    for (const [field, value] of [["hours", Time.Hour], ["minutes", Time.Minute], ["seconds", Time.Second], ["milliseconds", Time.Millisecond]] as const) {
+      const count = rest.dividedBy(value).integerValue(BigNumber.ROUND_FLOOR);
+      rest = rest.minus(count.times(value));
+      duration[field] = sign * count.toNumber() || 0;
+    }
+
+    return duration;
+  }
+
+  public verbose(precision: number = 7, separators: SeparatorOptions = { right: " ", left: " " }, locale?: string) {
     let duration = this.ms
     
     if (duration.isNaN()) {
@@ -252,17 +622,23 @@ export class Duration {
 
       const floored: BigNumber = division.integerValue(BigNumber.ROUND_FLOOR);
       duration = duration.minus(floored.times(value));
-      output.push(this.addUnit(floored, this.units[type], separators.right!));
+      output.push(locale
+        ? this.addLocalizedUnit(floored, type, separators.right, locale)
+        : this.addUnit(floored, this.units[type], separators.right!));
 
       if (output.length >= precision) {
         break;
       }
     }
+
+    const zero = locale
+      ? this.addLocalizedUnit(new BigNumber(0), TimeTypes.Second, separators.left, locale)
+      : this.addUnit(new BigNumber(0), this.units.second, separators.left);
     
-    return `${negative ? "-" : ""}${output.join(separators.right) || this.addUnit(new BigNumber(0), this.units.second, separators.left)}`;
+    return `${negative ? "-" : ""}${output.join(separators.right) || zero}`;
   }
 
-  public elegant(precision: number = 7, separator: SeparatorOptions = { right: " ", left: " " }): string | number {
+  public elegant(precision: number = 7, separator: SeparatorOptions = { right: " ", left: " " }, locale?: string): string | number {
     let duration = this.ms;
     
     if (duration.isNaN()) {
@@ -285,14 +661,20 @@ export class Duration {
 
       const floored: BigNumber = division.integerValue(BigNumber.ROUND_FLOOR);
       duration = duration.minus(floored.times(value));
-      output.push(this.addUnit(floored, this.units[type], separator.left!));
+      output.push(locale
+        ? this.addLocalizedUnit(floored, type, separator.left, locale)
+        : this.addUnit(floored, this.units[type], separator.left!));
 
       if (output.length >= precision) {
         break;
       }
     }
 
-    return `${negative ? "-" : ""}${this.joinWithConjunction(output, separator.right)}`;
+    const joined = locale
+      ? new Intl.ListFormat(resolveLocale(locale), { type: "conjunction" }).format(output)
+      : this.joinWithConjunction(output, separator.right);
+
+    return `${negative ? "-" : ""}${joined}`;
   }
 
   public binary(): string | number {
@@ -373,16 +755,106 @@ export class Duration {
     }
 
     const result: { [key: string]: BigNumber } = {};
+    const negative: boolean = duration.isNegative();
+
+    // Negative durations are split on their absolute value so every unit carries the sign.
+    duration = duration.abs();
 
     for (const [type, value] of TimeValues) {
       const count: BigNumber = duration.dividedBy(value).integerValue(BigNumber.ROUND_FLOOR);
       duration = duration.modulo(value);
-      result[type] = count;
+      result[type] = negative && !count.isZero() ? count.negated() : count;
     }
 
     return JSON.stringify(result);
   }
 
+  public toISO(): string | number {
+    let duration = this.ms;
+
+    if (duration.isNaN()) {
+      return NaN
+    }
+
+    const negative: boolean = duration.isNegative() && !duration.isZero();
+    const date: string[] = [];
+    const time: string[] = [];
+
+    duration = duration.abs();
+
+    // Weeks are folded into days since ISO 8601 does not allow mixing them with other units.
+    for (const [value, designator, output] of [
+      [Time.Year, "Y", date],
+      [Time.Month, "M", date],
+      [Time.Day, "D", date],
+      [Time.Hour, "H", time],
+      [Time.Minute, "M", time],
+    ] as [BigNumber, string, string[]][]) {
+      const count: BigNumber = duration.dividedBy(value).integerValue(BigNumber.ROUND_FLOOR);
+      duration = duration.minus(count.times(value));
+
+      if (count.gt(0)) {
+        output.push(`${count.toFixed()}${designator}`);
+      }
+    }
+
+    if (duration.gt(0) || (date.length === 0 && time.length === 0)) {
+      time.push(`${duration.dividedBy(Time.Second).toFixed()}S`);
+    }
+
+    return `${negative ? "-" : ""}P${date.join("")}${time.length > 0 ? `T${time.join("")}` : ""}`;
+  }
+
+  private resolveUnit(unit: string): BigNumber {
+    const value = tokens.get(unit.toLowerCase());
+
+    if (value === undefined) {
+      throw new Error(`Invalid unit: ${unit}`);
+    }
+
+    return value;
+  }
+
+  private roundTo(unit: string, mode: BigNumber.RoundingMode): Duration {
+    const value = this.resolveUnit(unit);
+    return Duration.create(this.ms.dividedBy(value).integerValue(mode).times(value));
+  }
+
+  // Years, months and days move the calendar; everything else, including fractions of those units, is exact time.
+  private calendarComponents(): { years: number; months: number; days: number; remainder: BigNumber } {
+    const fields = [...TimeMappings.values()] as (keyof Duration)[];
+
+    if (fields.every((field) => this[field] === 0)) {
+      return { years: 0, months: 0, days: 0, remainder: this.ms };
+    }
+
+    let remainder = new BigNumber(0);
+
+    const split = (count: BigNumber, unit: BigNumber): number => {
+      const whole = count.integerValue(BigNumber.ROUND_DOWN);
+      remainder = remainder.plus(count.minus(whole).times(unit));
+      return whole.toNumber();
+    };
+
+    const years = split(new BigNumber(this.years)
+      .plus(new BigNumber(this.decades).times(10))
+      .plus(new BigNumber(this.centuries).times(100))
+      .plus(new BigNumber(this.millennia).times(1000))
+      .plus(new BigNumber(this.megayears).times(1e6))
+      .plus(new BigNumber(this.gigayears).times(1e9))
+      .plus(new BigNumber(this.terayears).times(1e12)), Time.Year);
+    const months = split(new BigNumber(this.months), Time.Month);
+    const days = split(new BigNumber(this.weeks).times(7).plus(this.days), Time.Day);
+
+    for (const [value, field] of TimeMappings) {
+      if (value.lt(Time.Day)) {
+        remainder = remainder.plus(new BigNumber(this[field as keyof Duration] as number).times(value));
+      }
+    }
+
+    return { years, months, days, remainder };
+  }
+
   private calculateOffset(pattern: string): BigNumber {
     let result: BigNumber = new BigNumber(0);
     let valid: boolean = false;
@@ -430,6 +902,12 @@ export class Duration {
     }
   }
 
+  private addLocalizedUnit(time: BigNumber, type: string, separator: string, locale: string): string {
+    const formattedTime: string = new Intl.NumberFormat(resolveLocale(locale)).format(time.toFixed() as Intl.StringNumericLiteral);
+
+    return `${formattedTime}${separator}${getUnitName(locale, type, time.toNumber())}`;
+  }
+
   private padWithZero(time: BigNumber): string {
     return time.toString().padStart(2, "0");
   }
@@ -1,2 +1,4 @@
 export * from "./duration";
-export * from "./constants";
\ No newline at end of file
+export * from "./constants";
+export * from "./locales";
+export * from "./parser";
\ No newline at end of file
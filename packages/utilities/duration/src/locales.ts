@@ -0,0 +1,74 @@
+import { DEFAULT_UNITS, TimeTypes } from "./constants";
+
+export type PluralForms = Partial<Record<Intl.LDMLPluralRule, string>>;
+
+export interface LanguagePack {
+  units: Partial<Record<string, PluralForms>>;
+}
+
+const packs: Map<string, LanguagePack> = new Map();
+
+export function registerLanguage(locale: string, pack: LanguagePack): void {
+  if (!locale) throw new Error("Locale must be non-empty");
+
+  packs.set(locale.toLowerCase(), pack);
+}
+
+function findLanguagePack(locale: string): LanguagePack | undefined {
+  const subtags = locale.toLowerCase().split(/[-_]/);
+
+  // "tl-PH" falls back to "tl".
+  for (let length = subtags.length; length > 0; length--) {
+    const pack = packs.get(subtags.slice(0, length).join("-"));
+    if (pack) return pack;
+  }
+
+  return undefined;
+}
+
+export function getLanguagePack(locale: string): LanguagePack {
+  return findLanguagePack(locale) ?? packs.get("en")!;
+}
+
+// Unregistered locales format entirely in English, so units and list grammar never mix languages.
+export function resolveLocale(locale: string): string {
+  return findLanguagePack(locale) ? locale.replace(/_/g, "-") : "en";
+}
+
+export function getUnitName(locale: string, type: string, count: number): string {
+  const forms = getLanguagePack(locale).units[type] ?? getLanguagePack("en").units[type]!;
+  const category = new Intl.PluralRules(resolveLocale(locale)).select(count);
+
+  return forms[category] ?? forms.other ?? Object.values(forms)[0]!;
+}
+
+registerLanguage("en", {
+  units: Object.fromEntries(Object.values(TimeTypes).map((type) => [
+    type,
+    { one: DEFAULT_UNITS[type][1], other: DEFAULT_UNITS[type].DEFAULT },
+  ])),
+});
+
+const tagalog: LanguagePack = {
+  units: {
+    [TimeTypes.Terayear]: { other: "terataon" },
+    [TimeTypes.Gigayear]: { other: "gigataon" },
+    [TimeTypes.Megayear]: { other: "megataon" },
+    [TimeTypes.Millennium]: { other: "milenyo" },
+    [TimeTypes.Century]: { other: "siglo" },
+    [TimeTypes.Decade]: { other: "dekada" },
+    [TimeTypes.Year]: { other: "taon" },
+    [TimeTypes.Month]: { other: "buwan" },
+    [TimeTypes.Week]: { other: "linggo" },
+    [TimeTypes.Day]: { other: "araw" },
+    [TimeTypes.Hour]: { other: "oras" },
+    [TimeTypes.Minute]: { other: "minuto" },
+    [TimeTypes.Second]: { other: "segundo" },
+    [TimeTypes.Millisecond]: { other: "millisegundo" },
+    [TimeTypes.Microsecond]: { other: "microsegundo" },
+    [TimeTypes.Nanosecond]: { other: "nanosegundo" },
+  },
+};
+
+registerLanguage("tl", tagalog);
+registerLanguage("fil", tagalog);
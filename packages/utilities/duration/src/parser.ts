@@ -0,0 +1,70 @@
+export class DurationParseError extends Error {
+  constructor(message: string, public token: string, public position: number, public suggestions: string[] = []) {
+    super(message);
+    this.name = "DurationParseError";
+  }
+}
+
+export interface TimeOfDay {
+  hour: number;
+  minute: number;
+}
+
+export const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const timeRegex = /^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i;
+
+function distance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Single-letter aliases match almost anything, so they are never suggested.
+export function suggest(word: string, candidates: Iterable<string>, limit: number = 3): string[] {
+  const threshold = Math.max(1, Math.floor(word.length / 3));
+
+  return [...new Set(candidates)]
+    .filter((candidate) => candidate.length > 1)
+    .map((candidate) => [candidate, distance(word, candidate)] as const)
+    .filter(([, score]) => score <= threshold)
+    .sort((a, b) => a[1] - b[1] || b[0].length - a[0].length)
+    .slice(0, limit)
+    .map(([candidate]) => candidate);
+}
+
+export function parseTimeOfDay(text: string): TimeOfDay | null {
+  const value = text.trim().toLowerCase();
+
+  if (value === "noon") return { hour: 12, minute: 0 };
+  if (value === "midnight") return { hour: 0, minute: 0 };
+
+  const match = timeRegex.exec(value);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] ?? 0);
+  const meridiem = match[3]?.[0];
+
+  if (minute > 59) return null;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === "p" ? 12 : 0);
+  } else if (hour > 23 || match[2] === undefined) {
+    // A bare "5" is more likely a forgotten unit than a time.
+    return null;
+  }
+
+  return { hour, minute };
+}
@@ -1,45 +1,55 @@
 import chalk from "chalk";
+import { inspect, stripVTControlCharacters } from "util";
+import { Duration } from "@aezen/duration";
+import { consoleMethods, customColors, levels, messageColors, severities } from "./levels";
+import { createRedactor, type Redactor } from "./redact";
+import { ConsoleTransport } from "./transports";
+import type { LevelName, LevelOptions, LoggerOptions, SerializedError, Transport } from "./types";
 
-interface LoggerOptions {
-  timestamp?: boolean;
-  prefix?: string;
-}
+export * from "./transports";
+export { RedactPatterns } from "./redact";
+export type { LevelName, LevelOptions, LogEntry, LoggerFormat, LoggerLevels, LoggerOptions, RedactOptions, SerializedError, TimestampFormat, Transport } from "./types";
+
+function isoTimestamp(date: Date, timeZone?: string) {
+  if (!timeZone) {
+    return date.toISOString();
+  }
 
-type LoggerLevels = "success" | "debug" | "info" | "log" | "warn" | "error" | "fatal";
-
-const customColors = {
-  // Main colors
-  purple: chalk.hex("#9000ff"),
-
-  // Light colors
-  grayLight: chalk.hex("#c9c8c8"),
-  cyanLight: chalk.hex("#8cf4ff"),
-  magentaLight: chalk.hex("#c48cff"),
-  greenLight: chalk.hex("#6bfaa0"),
-  redLight: chalk.hex("#ff6161"),
-
-  // Brighter colors
-  greenBrighter: chalk.hex("#53f576"),
-  blueBrighter: chalk.hex("#008cff"),
-  redBrighter: chalk.hex("#fc2d2d"),
-  redBrighter2: chalk.hex("#ff0000"),
-  yellowBrighter: chalk.hex("#ffe600"),
-  cyanBrighter: chalk.hex("#8ff4ff"),
-  bgRedBrighter: chalk.bgHex("#ff0000")
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date).map((part) => [part.type, part.value]));
+
+  const milliseconds = date.getUTCMilliseconds();
+  const local = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second, milliseconds);
+  const offset = Math.round((local - date.getTime()) / 60000);
+  const sign = offset < 0 ? "-" : "+";
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, "0");
+  const minutes = String(Math.abs(offset) % 60).padStart(2, "0");
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${String(milliseconds).padStart(3, "0")}${sign}${hours}:${minutes}`;
 }
 
-const levels = {
-  success: customColors.greenBrighter.bold,
-  debug: chalk.magenta.bold,
-  info: customColors.blueBrighter.bold,
-  log: customColors.cyanBrighter.bold,
-  warn: customColors.yellowBrighter.bold,
-  error: customColors.redLight.bold,
-  fatal: customColors.bgRedBrighter.bold,
-};
-
-function timestamp() {
-  const options = {
+function timestamp(options: LoggerOptions, date: Date = new Date()) {
+  const format = options.timestamp;
+
+  if (typeof format === "function") {
+    return format(date);
+  } else if (format === "iso") {
+    return isoTimestamp(date, options.timeZone);
+  } else if (format === "epoch") {
+    return String(date.getTime());
+  } else if (format === "elapsed") {
+    return `+${process.uptime().toFixed(3)}s`;
+  }
+
+  return date.toLocaleDateString("en-US", {
     year: "numeric",
     month: "numeric",
     day: "numeric",
@@ -47,14 +57,12 @@ function timestamp() {
     minute: "2-digit",
     second: "2-digit",
     timeZoneName: "short",
-  };
-
-  //@ts-ignore
-  return new Date().toLocaleDateString("en-US", options);
+    timeZone: options.timeZone,
+  });
 }
 
-function createInfo(options: LoggerOptions, level: LoggerLevels, customLevelText?: string | null) {
-  const date = options.timestamp === true ? customColors.grayLight(`[${timestamp()}]`) : null;
+function createInfo(options: LoggerOptions, level: LevelName, customLevelText?: string | null) {
+  const date = options.timestamp ? customColors.grayLight(`[${timestamp(options)}]`) : null;
   const prefix = options.prefix ? chalk.bgGray.bold(`[ ${options.prefix} ]`) : null;
   const formattedLevel = customLevelText ?
     levels[level](customLevelText.toUpperCase()) :
@@ -63,87 +71,468 @@ function createInfo(options: LoggerOptions, level: LoggerLevels, customLevelText
   return `${prefix ? `${prefix} ` : ""}${date ? `${date} ` : ""}${formattedLevel}`;
 }
 
+function createTable(rows: unknown[] | Record<string, unknown>): string {
+  const entries = Array.isArray(rows) ? rows.map((row, index) => [String(index), row] as const) : Object.entries(rows);
+  const columns: string[] = [];
+  let hasValues = false;
+
+  for (const [, row] of entries) {
+    if (typeof row === "object" && row !== null) {
+      for (const key of Object.keys(row)) {
+        if (!columns.includes(key)) columns.push(key);
+      }
+    } else {
+      hasValues = true;
+    }
+  }
+
+  const headers = ["(index)", ...columns, ...(hasValues ? ["Values"] : [])];
+  const format = (value: unknown) => typeof value === "string" ? value : inspect(value, { breakLength: Infinity });
+  const body = entries.map(([index, row]) => [
+    index,
+    ...columns.map((column) => typeof row === "object" && row !== null && Reflect.has(row, column) ? format(Reflect.get(row, column)) : ""),
+    ...(hasValues ? [typeof row === "object" && row !== null ? "" : format(row)] : [])
+  ]);
+
+  const widths = headers.map((header, column) => Math.max(header.length, ...body.map((cells) => cells[column].length)));
+  const border = (left: string, middle: string, right: string) => chalk.gray(`${left}${widths.map((width) => "─".repeat(width + 2)).join(middle)}${right}`);
+  const row = (cells: string[], color: (text: string) => string) => {
+    const separator = chalk.gray("│");
+    return `${separator}${cells.map((cell, column) => ` ${color(cell.padEnd(widths[column]))} `).join(separator)}${separator}`;
+  };
+
+  return [
+    border("┌", "┬", "┐"),
+    row(headers, levels.log),
+    border("├", "┼", "┤"),
+    ...body.map((cells) => row(cells, messageColors.log)),
+    border("└", "┴", "┘"),
+  ].join("\n");
+}
+
+function serializeError(error: Error, seen: WeakSet<object> = new WeakSet()): SerializedError {
+  seen.add(error);
+
+  const serialized: SerializedError = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+  };
+
+  for (const [key, value] of Object.entries(error)) {
+    serialized[key] = value;
+  }
+
+  if (error instanceof AggregateError) {
+    serialized.errors = error.errors.map((child) =>
+      child instanceof Error && !seen.has(child) ? serializeError(child, seen) : child
+    );
+  }
+
+  if (error.cause !== undefined) {
+    serialized.cause = error.cause instanceof Error && !seen.has(error.cause)
+      ? serializeError(error.cause, seen)
+      : error.cause;
+  }
+
+  return serialized;
+}
+
+function styleFrame(frame: string) {
+  return /node_modules|\(node:|at node:|\(internal\//.test(frame) ? chalk.gray.dim(frame) : chalk.whiteBright(frame);
+}
+
+function stringify(record: Record<string, unknown>): string {
+  const seen = new WeakSet<object>();
+
+  return JSON.stringify(record, (_, value) => {
+    if (typeof value === "bigint") {
+      return value.toString();
+    }
+
+    if (value instanceof Error) {
+      return serializeError(value);
+    }
+
+    if (typeof value === "object" && value !== null) {
+      if (seen.has(value)) return "[Circular]";
+      seen.add(value);
+    }
+
+    return value;
+  });
+}
+
 export default class Logger {
   levels: typeof levels;
   options: LoggerOptions;
+  transports: Transport[];
+  private parent: Logger | null = null;
+  private timers: Map<string, bigint> = new Map();
+  private counters: Map<string, number> = new Map();
+  private groups: string[] = [];
+  private redactor: Redactor | null;
   
   constructor(options: LoggerOptions = {}) {
+    if (options.level !== undefined && !Reflect.has(severities, options.level)) {
+      throw new Error(`Level '${options.level}' does not exist`);
+    }
+
+    if (options.timeZone !== undefined) {
+      // Throws a RangeError early for unknown IANA time zones.
+      new Intl.DateTimeFormat("en-US", { timeZone: options.timeZone });
+    }
+
     this.levels = levels;
     this.options = options;
+    this.redactor = createRedactor(options.redact);
+    this.transports = [
+      ...(options.console !== false ? [new ConsoleTransport()] : []),
+      ...(options.transports ?? [])
+    ];
   }
 
   log(...messages: any) {
-    messages.forEach((arg: any) => {
-      if (typeof arg !== "string") {
-        console.log(`${createInfo(this.options, "log")}\n`, arg);
-      } else {
-        console.log(`${createInfo(this.options, "log")}  ${customColors.cyanLight(arg)}`);
-      }
-    });
+    this.print("log", messages);
   }
 
   info(...messages: any) {
-    messages.forEach((arg: any) => {
-      if (typeof arg !== "string") {
-        console.info(`${createInfo(this.options, "info")}\n`, arg);
-      } else {
-        console.info(`${createInfo(this.options, "info")}  ${chalk.blue(arg)}`);
-      }
-    });
+    this.print("info", messages);
   }
 
   warn(...messages: any) {
-    messages.forEach((arg: any) => {
-      if (typeof arg !== "string") {
-        console.warn(`${createInfo(this.options, "warn")}\n`, arg);
-      } else {
-        console.warn(`${createInfo(this.options, "warn")}  ${chalk.yellowBright(arg)}`);
-      }
-    });
+    this.print("warn", messages);
   }
 
   success(...messages: any) {
-    messages.forEach((arg: any) => {
-      if (typeof arg !== "string") {
-        console.log(`${createInfo(this.options, "success")}\n`, arg);
-      } else {
-        console.log(`${createInfo(this.options, "success")}  ${customColors.greenLight(arg)}`);
-      }
-    });
+    this.print("success", messages);
   }
 
   debug(...messages: any) {
-    messages.forEach((arg: any) => {
-      if (typeof arg !== "string") {
-        console.debug(`${createInfo(this.options, "debug")}\n`, arg);
-      } else {
-        console.debug(`${createInfo(this.options, "debug")}  ${customColors.magentaLight(arg)}`);
-      }
-    });
+    this.print("debug", messages);
   }
 
-  error(error: Error | string) {
-    if (error instanceof Error) {
-      const type = error.name
-      const message = error.message
-      //const stackLines = error.stack ? error.stack.split("\n").filter((line: string) => line.startsWith("    at")).join("\n") : null
-      const stackLines = error.stack ? error.stack.split("\n").slice(1).join("\n") : null;
-      
-      console.log(`${createInfo(this.options, "error", type)}  ${chalk.red(message)} ${stackLines ? `\n\n${chalk.gray(stackLines)}` : ""}`);
-    } else if (typeof error === "string") {
-      console.log(`${createInfo(this.options, "error")}  ${chalk.red(error)}`);
+  error(...messages: any) {
+    if (!this.isLevelEnabled("error")) {
+      return;
+    } else if (this.options.format === "json") {
+      return this.write("error", this.createRecord("error", messages));
+    }
+
+    const text = messages.filter((arg: any) => typeof arg === "string");
+    const errors: Error[] = messages.filter((arg: any) => arg instanceof Error);
+    const extras = messages.filter((arg: any) => typeof arg !== "string" && !(arg instanceof Error));
+    const blocks: string[] = [];
+    let header: string;
+
+    if (text.length === 0 && errors.length > 0) {
+      const [first, ...rest] = errors;
+      header = `${createInfo(this.options, "error", first.name)}  ${chalk.red(first.message)}`;
+      blocks.push(this.renderError(first, "", new WeakSet(), false), ...rest.map((error) => this.renderError(error)));
     } else {
-      console.log(`${createInfo(this.options, "error")} ${error}`);
+      header = `${createInfo(this.options, "error")}${text.length > 0 ? `  ${chalk.red(text.join(" "))}` : ""}`;
+      blocks.push(...errors.map((error) => this.renderError(error)));
+    }
+
+    for (const extra of extras) {
+      blocks.push(inspect(this.redactor ? this.redactor.value(extra) : extra, { colors: true }));
     }
+
+    this.write("error", [header, ...blocks.filter(Boolean)].join("\n\n"));
   }
 
   fatal(...messages: any) {
+    this.print("fatal", messages);
+
+    if (this.options.exitOnFatal) {
+      const code = typeof this.options.exitOnFatal === "number" ? this.options.exitOnFatal : 1;
+
+      Promise.resolve()
+        .then(() => this.options.onFatal?.())
+        // A failing hook must not keep buffered logs from being flushed.
+        .catch((error) => console.error(`Error in fatal hook: ${error instanceof Error ? error.message : error}`))
+        .then(() => this.flush())
+        .finally(() => process.exit(code));
+    }
+  }
+
+  logAt(level: LevelName, ...messages: any) {
+    if (!Reflect.has(severities, level)) {
+      throw new Error(`Level '${level}' does not exist`);
+    }
+
+    this.print(level, messages);
+  }
+
+  time(label: string = "default"): void {
+    if (this.timers.has(label)) {
+      this.warn(`Timer '${label}' already exists`);
+      return;
+    }
+
+    this.timers.set(label, process.hrtime.bigint());
+  }
+
+  timeLog(label: string = "default", ...messages: any): string | null {
+    const start = this.timers.get(label);
+
+    if (start === undefined) {
+      this.warn(`Timer '${label}' does not exist`);
+      return null;
+    }
+
+    const elapsed = new Duration(Number(process.hrtime.bigint() - start) / 1e6).verbose(2) as string;
+    this.print("log", [`${label}: ${elapsed}`, ...messages]);
+
+    return elapsed;
+  }
+
+  timeEnd(label: string = "default"): string | null {
+    const elapsed = this.timeLog(label);
+    this.timers.delete(label);
+
+    return elapsed;
+  }
+
+  count(label: string = "default"): number {
+    const count = (this.counters.get(label) ?? 0) + 1;
+    this.counters.set(label, count);
+    this.print("log", [`${label}: ${count}`]);
+
+    return count;
+  }
+
+  countReset(label: string = "default"): void {
+    this.counters.delete(label);
+  }
+
+  group(...labels: string[]): void {
+    const label = labels.join(" ");
+
+    if (label) {
+      this.print("log", [label]);
+    }
+
+    this.groups.push(label);
+  }
+
+  groupEnd(): void {
+    this.groups.pop();
+  }
+
+  table(rows: unknown[] | Record<string, unknown>): void {
+    if (!this.isLevelEnabled("log")) {
+      return;
+    } else if (this.options.format === "json") {
+      this.write("log", this.createRecord("log", [{ table: rows }]));
+    } else {
+      this.write("log", `${createInfo(this.options, "log")}\n${createTable(this.redactor ? this.redactor.value(rows) as typeof rows : rows)}`);
+    }
+  }
+
+  getLevel(): LevelName {
+    return this.options.level ?? this.parent?.getLevel() ?? "debug";
+  }
+
+  setLevel(level: LevelName): void {
+    if (!Reflect.has(severities, level)) {
+      throw new Error(`Level '${level}' does not exist`);
+    }
+
+    this.options.level = level;
+  }
+
+  isLevelEnabled(level: LevelName): boolean {
+    return severities[level] >= severities[this.getLevel()];
+  }
+
+  static addLevel(name: string, options: LevelOptions): void {
+    if (!name) throw new Error("Level name must be non-empty");
+
+    if (Reflect.has(severities, name)) {
+      throw new Error(`Level '${name}' already exists`);
+    }
+
+    if (name in Logger.prototype) {
+      throw new Error(`Level '${name}' conflicts with an existing Logger method`);
+    }
+
+    const color = typeof options.color === "string" ? chalk.hex(options.color) : options.color ?? chalk.white;
+
+    severities[name] = options.severity;
+    levels[name] = typeof options.color === "string" ? chalk.hex(options.color).bold : color;
+    messageColors[name] = color;
+    consoleMethods[name] = options.stream === "stderr" ? "error" : "log";
+
+    Reflect.set(Logger.prototype, name, function (this: Logger, ...messages: any) {
+      this.print(name, messages);
+    });
+  }
+
+  child(context: Record<string, unknown> = {}, prefix?: string): Logger {
+    const { level, ...options } = this.options;
+    const logger = new Logger({
+      ...options,
+      console: false,
+      transports: [],
+      prefix: this.options.prefix && prefix ? `${this.options.prefix} > ${prefix}` : prefix ?? this.options.prefix,
+      context: { ...this.options.context, ...context },
+    });
+
+    // Children write to the parent's transports as well as their own, and follow its level unless overridden.
+    logger.parent = this;
+    return logger;
+  }
+
+  addTransport(transport: Transport): void {
+    this.transports.push(transport);
+  }
+
+  removeTransport(transport: Transport): void {
+    const index = this.transports.indexOf(transport);
+
+    if (index !== -1) {
+      this.transports.splice(index, 1);
+    }
+  }
+
+  async flush(): Promise<void> {
+    await Promise.all(this.outputs().map((transport) => transport.flush?.()));
+  }
+
+  // Only closes the logger's own transports, so closing a child leaves the parent's outputs open.
+  async close(): Promise<void> {
+    await Promise.all(this.transports.map((transport) => transport.close?.()));
+  }
+
+  private outputs(): Transport[] {
+    return this.parent ? [...this.parent.outputs(), ...this.transports] : this.transports;
+  }
+
+  private renderError(error: Error, indent: string = "", seen: WeakSet<Error> = new WeakSet(), withHeader: boolean = true): string {
+    if (seen.has(error)) {
+      return `${indent}${chalk.gray("[Circular]")}`;
+    }
+
+    seen.add(error);
+
+    const lines: string[] = withHeader ? [`${indent}${chalk.red.bold(error.name)}: ${chalk.red(error.message)}`] : [];
+    const frames = (error.stack ?? "").split("\n").filter((line) => /^\s*at\s/.test(line));
+    const properties = Object.fromEntries(
+      Object.entries(error).filter(([key]) => !["name", "message", "stack", "cause", "errors"].includes(key))
+    );
+
+    lines.push(...frames.map((frame) => `${indent}${styleFrame(frame)}`));
+
+    if (Object.keys(properties).length > 0) {
+      const value = this.redactor ? this.redactor.value(properties) : properties;
+      lines.push(...inspect(value, { colors: true }).split("\n").map((line) => `${indent}    ${line}`));
+    }
+
+    if (error instanceof AggregateError) {
+      error.errors.forEach((child, index) => {
+        const label = `${indent}  ${chalk.gray(`[${index + 1}/${error.errors.length}]`)}`;
+
+        lines.push(child instanceof Error
+          ? `${label}\n${this.renderError(child, `${indent}    `, seen)}`
+          : `${label} ${inspect(child, { colors: true })}`);
+      });
+    }
+
+    if (error.cause !== undefined) {
+      lines.push(error.cause instanceof Error
+        ? `${indent}  ${chalk.gray("Caused by:")}\n${this.renderError(error.cause, `${indent}    `, seen)}`
+        : `${indent}  ${chalk.gray("Caused by:")} ${inspect(error.cause, { colors: true })}`);
+    }
+
+    return lines.join("\n");
+  }
+
+  private print(level: LevelName, messages: any[]) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    } else if (this.options.format === "json") {
+      return this.write(level, this.createRecord(level, messages));
+    }
+
     messages.forEach((arg: any) => {
       if (typeof arg !== "string") {
-        console.log(`${createInfo(this.options, "fatal")}\n`, arg);
+        const value = this.redactor ? this.redactor.value(arg) : arg;
+        this.write(level, `${createInfo(this.options, level)}\n ${inspect(value, { colors: true })}`);
       } else {
-        console.log(`${createInfo(this.options, "fatal")}  ${customColors.redBrighter2.underline(arg)}`);
+        this.write(level, `${createInfo(this.options, level)}  ${messageColors[level](arg)}`);
       }
     });
   }
+
+  private createRecord(level: LevelName, messages: any[]): string {
+    // Records stay machine-readable by default, but an explicit format or time zone still applies.
+    const record: Record<string, unknown> = {
+      level,
+      timestamp: typeof this.options.timestamp === "boolean" || this.options.timestamp === undefined
+        ? isoTimestamp(new Date(), this.options.timeZone)
+        : timestamp(this.options),
+    };
+
+    const text: string[] = [];
+    const errorMessages: string[] = [];
+    let error: SerializedError | undefined;
+    const metadata: Record<string, unknown> = { ...this.options.context };
+
+    for (const arg of messages) {
+      if (typeof arg === "string") {
+        text.push(arg);
+      } else if (arg instanceof Error) {
+        error ??= serializeError(arg);
+        errorMessages.push(arg.message);
+      } else if (typeof arg === "object" && arg !== null && !Array.isArray(arg)) {
+        Object.assign(metadata, arg);
+      } else {
+        text.push(inspect(arg));
+      }
+    }
+
+    if (this.options.prefix) {
+      record.prefix = this.options.prefix;
+    }
+
+    record.message = (text.length > 0 ? text : errorMessages).join(" ");
+
+    if (this.groups.length > 0) {
+      record.group = this.groups.filter(Boolean).join(" > ");
+    }
+
+    if (error) {
+      record.error = error;
+    }
+
+    for (const [key, value] of Object.entries(metadata)) {
+      if (!(key in record)) {
+        record[key] = value;
+      }
+    }
+
+    return stringify(this.redactor ? this.redactor.value(record) as Record<string, unknown> : record);
+  }
+
+  private write(level: LevelName, line: string) {
+    if (this.redactor) {
+      line = this.redactor.text(line);
+    }
+
+    if (this.groups.length > 0 && this.options.format !== "json") {
+      const indent = "  ".repeat(this.groups.length);
+      line = line.split("\n").map((text) => `${indent}${text}`).join("\n");
+    }
+
+    const entry = { level, date: new Date(), line };
+
+    for (const transport of this.outputs()) {
+      if (transport.level !== undefined && severities[level] < severities[transport.level]) {
+        continue;
+      }
+
+      transport.write(transport.colors ? line : stripVTControlCharacters(line), entry);
+    }
+  }
 }
\ No newline at end of file
@@ -0,0 +1,62 @@
+import chalk from "chalk";
+
+export const customColors = {
+  // Main colors
+  purple: chalk.hex("#9000ff"),
+
+  // Light colors
+  grayLight: chalk.hex("#c9c8c8"),
+  cyanLight: chalk.hex("#8cf4ff"),
+  magentaLight: chalk.hex("#c48cff"),
+  greenLight: chalk.hex("#6bfaa0"),
+  redLight: chalk.hex("#ff6161"),
+
+  // Brighter colors
+  greenBrighter: chalk.hex("#53f576"),
+  blueBrighter: chalk.hex("#008cff"),
+  redBrighter: chalk.hex("#fc2d2d"),
+  redBrighter2: chalk.hex("#ff0000"),
+  yellowBrighter: chalk.hex("#ffe600"),
+  cyanBrighter: chalk.hex("#8ff4ff"),
+  bgRedBrighter: chalk.bgHex("#ff0000")
+}
+
+export const levels: Record<string, (text: string) => string> = {
+  success: customColors.greenBrighter.bold,
+  debug: chalk.magenta.bold,
+  info: customColors.blueBrighter.bold,
+  log: customColors.cyanBrighter.bold,
+  warn: customColors.yellowBrighter.bold,
+  error: customColors.redLight.bold,
+  fatal: customColors.bgRedBrighter.bold,
+};
+
+export const messageColors: Record<string, (text: string) => string> = {
+  success: customColors.greenLight,
+  debug: customColors.magentaLight,
+  info: chalk.blue,
+  log: customColors.cyanLight,
+  warn: chalk.yellowBright,
+  error: chalk.red,
+  fatal: customColors.redBrighter2.underline,
+};
+
+export const severities: Record<string, number> = {
+  debug: 10,
+  log: 20,
+  info: 30,
+  success: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+};
+
+export const consoleMethods: Record<string, "log" | "debug" | "info" | "warn" | "error"> = {
+  success: "log",
+  debug: "debug",
+  info: "info",
+  log: "log",
+  warn: "warn",
+  error: "log",
+  fatal: "log",
+};
@@ -0,0 +1,54 @@
+import type { RedactOptions } from "./types";
+
+export const RedactPatterns = {
+  discordToken: /[\w-]{24,28}\.[\w-]{6}\.[\w-]{27,38}/g,
+  discordWebhook: /https?:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+/g,
+};
+
+export interface Redactor {
+  value(value: unknown): unknown;
+  text(text: string): string;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  if (typeof value !== "object" || value === null) return false;
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+export function createRedactor(options: RedactOptions = {}): Redactor | null {
+  const paths = (options.paths ?? []).map((path) => path.split("."));
+  const patterns = (options.patterns ?? []).map((pattern) =>
+    pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`)
+  );
+  const censor = options.censor ?? "[REDACTED]";
+
+  if (paths.length === 0 && patterns.length === 0) {
+    return null;
+  }
+
+  const matches = (current: string[]) => paths.some((path) =>
+    path.length === current.length && path.every((segment, index) => segment === "*" || segment === current[index])
+  );
+
+  const redactValue = (value: unknown, current: string[], seen: WeakSet<object>): unknown => {
+    if (paths.length === 0 || (!Array.isArray(value) && !isPlainObject(value)) || seen.has(value)) {
+      return value;
+    }
+
+    seen.add(value);
+
+    const entries = Object.entries(value).map(([key, child]) => {
+      const childPath = [...current, key];
+      return [key, matches(childPath) ? censor : redactValue(child, childPath, seen)];
+    });
+
+    return Array.isArray(value) ? entries.map(([, child]) => child) : Object.fromEntries(entries);
+  };
+
+  return {
+    value: (value) => redactValue(value, [], new WeakSet()),
+    text: (text) => patterns.reduce((result, pattern) => result.replace(pattern, censor), text),
+  };
+}
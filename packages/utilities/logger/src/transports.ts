@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import type { Writable } from "stream";
+import { consoleMethods } from "./levels";
+import type { LevelName, LogEntry, Transport } from "./types";
+
+interface StreamTransportOptions {
+  stream: Writable & { isTTY?: boolean };
+  level?: LevelName;
+  colors?: boolean;
+}
+
+interface FileTransportOptions {
+  path: string;
+  level?: LevelName;
+}
+
+interface RotatingFileTransportOptions extends FileTransportOptions {
+  maxSize?: number;
+  maxFiles?: number;
+  frequency?: "hourly" | "daily" | null;
+}
+
+function openStream(filePath: string): fs.WriteStream {
+  // Opening synchronously guarantees the file exists before the first rotation.
+  return fs.createWriteStream(filePath, { fd: fs.openSync(filePath, "a") });
+}
+
+function flushStream(stream: Writable): Promise<void> {
+  return new Promise((resolve) => stream.write("", () => resolve()));
+}
+
+function closeStream(stream: fs.WriteStream): Promise<void> {
+  return new Promise((resolve) => stream.end(resolve));
+}
+
+export class ConsoleTransport implements Transport {
+  level?: LevelName;
+  colors: boolean;
+
+  constructor(options: { level?: LevelName } = {}) {
+    this.level = options.level;
+    this.colors = chalk.level > 0;
+  }
+
+  write(line: string, entry: LogEntry): void {
+    console[consoleMethods[entry.level]](line);
+  }
+
+  async flush(): Promise<void> {
+    await Promise.all([flushStream(process.stdout), flushStream(process.stderr)]);
+  }
+}
+
+export class StreamTransport implements Transport {
+  level?: LevelName;
+  colors: boolean;
+  stream: Writable;
+
+  constructor(options: StreamTransportOptions) {
+    this.stream = options.stream;
+    this.level = options.level;
+    this.colors = options.colors ?? options.stream.isTTY === true;
+  }
+
+  write(line: string): void {
+    this.stream.write(`${line}\n`);
+  }
+
+  flush(): Promise<void> {
+    return flushStream(this.stream);
+  }
+}
+
+export class FileTransport implements Transport {
+  level?: LevelName;
+  colors = false;
+  path: string;
+  stream: fs.WriteStream;
+
+  constructor(options: FileTransportOptions) {
+    this.path = path.resolve(options.path);
+    this.level = options.level;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.stream = openStream(this.path);
+  }
+
+  write(line: string): void {
+    this.stream.write(`${line}\n`);
+  }
+
+  flush(): Promise<void> {
+    return flushStream(this.stream);
+  }
+
+  close(): Promise<void> {
+    return closeStream(this.stream);
+  }
+}
+
+export class RotatingFileTransport implements Transport {
+  level?: LevelName;
+  colors = false;
+  path: string;
+  maxSize: number;
+  maxFiles: number;
+  frequency: "hourly" | "daily" | null;
+  stream: fs.WriteStream;
+  private size: number;
+  private period: string | null;
+
+  constructor(options: RotatingFileTransportOptions) {
+    this.path = path.resolve(options.path);
+    this.level = options.level;
+    this.maxSize = options.maxSize ?? 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+    this.frequency = options.frequency ?? null;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    const stats = fs.existsSync(this.path) ? fs.statSync(this.path) : null;
+    this.size = stats ? stats.size : 0;
+    this.period = this.getPeriod(stats ? stats.mtime : new Date());
+    this.stream = openStream(this.path);
+  }
+
+  write(line: string, entry: LogEntry): void {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+    const period = this.getPeriod(entry.date);
+
+    if ((this.size > 0 && this.size + bytes > this.maxSize) || period !== this.period) {
+      this.rotate();
+    }
+
+    this.period = period;
+    this.size += bytes;
+    this.stream.write(data);
+  }
+
+  flush(): Promise<void> {
+    return flushStream(this.stream);
+  }
+
+  close(): Promise<void> {
+    return closeStream(this.stream);
+  }
+
+  private rotate(): void {
+    // Pending writes still land in the renamed file since the descriptor stays open.
+    this.stream.end();
+
+    const { dir, name, ext } = path.parse(this.path);
+    const rotatedPath = (index: number) => path.join(dir, `${name}.${index}${ext}`);
+
+    if (this.maxFiles > 0) {
+      fs.rmSync(rotatedPath(this.maxFiles), { force: true });
+
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(rotatedPath(index))) {
+          fs.renameSync(rotatedPath(index), rotatedPath(index + 1));
+        }
+      }
+
+      if (fs.existsSync(this.path)) {
+        fs.renameSync(this.path, rotatedPath(1));
+      }
+    } else {
+      fs.rmSync(this.path, { force: true });
+    }
+
+    this.size = 0;
+    this.stream = openStream(this.path);
+  }
+
+  private getPeriod(date: Date): string | null {
+    if (this.frequency === "hourly") {
+      return date.toISOString().slice(0, 13);
+    } else if (this.frequency === "daily") {
+      return date.toISOString().slice(0, 10);
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,55 @@
+export type LoggerLevels = "success" | "debug" | "info" | "log" | "warn" | "error" | "fatal";
+
+export type LevelName = LoggerLevels | (string & {});
+
+export interface LevelOptions {
+  severity: number;
+  color?: string | ((text: string) => string);
+  stream?: "stdout" | "stderr";
+}
+
+export interface LogEntry {
+  level: LevelName;
+  date: Date;
+  line: string;
+}
+
+export interface Transport {
+  level?: LevelName;
+  colors?: boolean;
+  write(line: string, entry: LogEntry): void;
+  flush?(): void | Promise<void>;
+  close?(): void | Promise<void>;
+}
+
+export type LoggerFormat = "pretty" | "json";
+
+export interface SerializedError {
+  name: string;
+  message: string;
+  stack?: string;
+  cause?: unknown;
+  [key: string]: unknown;
+}
+
+export type TimestampFormat = "locale" | "iso" | "epoch" | "elapsed";
+
+export interface RedactOptions {
+  paths?: string[];
+  patterns?: RegExp[];
+  censor?: string;
+}
+
+export interface LoggerOptions {
+  timestamp?: boolean | TimestampFormat | ((date: Date) => string);
+  timeZone?: string;
+  redact?: RedactOptions;
+  prefix?: string;
+  level?: LevelName;
+  format?: LoggerFormat;
+  context?: Record<string, unknown>;
+  console?: boolean;
+  transports?: Transport[];
+  exitOnFatal?: boolean | number;
+  onFatal?: () => void | Promise<void>;
+}
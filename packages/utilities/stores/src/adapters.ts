@@ -0,0 +1,133 @@
+import { promises } from "fs";
+import path from "path";
+
+export interface PersistedState<T> {
+  data: Record<string, T>;
+  // Absolute expiry timestamps in milliseconds, keyed like data.
+  expires: Record<string, number>;
+}
+
+export interface StoreAdapter<T> {
+  load(): Promise<PersistedState<T> | null>;
+  save(state: PersistedState<T>): Promise<void>;
+  delete(): Promise<void>;
+  flush?(): Promise<void>;
+}
+
+interface JsonFileAdapterOptions {
+  path: string;
+  debounce?: number;
+  space?: number;
+}
+
+export class JsonFileAdapter<T> implements StoreAdapter<T> {
+  public path: string;
+  public debounce: number;
+  public space: number;
+  private pending: PersistedState<T> | null = null;
+  private timeout: NodeJS.Timeout | null = null;
+  private waiting: { resolve: () => void; reject: (error: unknown) => void }[] = [];
+  private writing: Promise<void> = Promise.resolve();
+
+  constructor(options: JsonFileAdapterOptions) {
+    if (!options.path) throw new Error("Path must be non-empty");
+
+    this.path = path.resolve(options.path);
+    this.debounce = options.debounce ?? 100;
+    this.space = options.space ?? 0;
+  }
+
+  public async load(): Promise<PersistedState<T> | null> {
+    try {
+      const content = await promises.readFile(this.path, "utf-8");
+      return JSON.parse(content);
+    } catch (error: any) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  public save(state: PersistedState<T>): Promise<void> {
+    this.pending = state;
+
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+    }
+
+    this.timeout = setTimeout(() => this.flush().catch(() => {}), this.debounce);
+
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  public async flush(): Promise<void> {
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+
+    const data = this.pending;
+    const waiting = this.waiting;
+    this.pending = null;
+    this.waiting = [];
+
+    if (data === null) {
+      return this.writing;
+    }
+
+    // Writes are chained so an older snapshot never lands after a newer one.
+    this.writing = this.writing.catch(() => {}).then(() => this.write(data));
+
+    try {
+      await this.writing;
+      waiting.forEach(({ resolve }) => resolve());
+    } catch (error) {
+      waiting.forEach(({ reject }) => reject(error));
+      throw error;
+    }
+  }
+
+  public async delete(): Promise<void> {
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+
+    this.pending = null;
+    this.waiting.splice(0).forEach(({ resolve }) => resolve());
+
+    await this.writing.catch(() => {});
+    await promises.rm(this.path, { force: true });
+  }
+
+  private async write(data: PersistedState<T>): Promise<void> {
+    const temporaryPath = `${this.path}.${process.pid}.tmp`;
+
+    await promises.mkdir(path.dirname(this.path), { recursive: true });
+    await promises.writeFile(temporaryPath, JSON.stringify(data, null, this.space), "utf-8");
+    await promises.rename(temporaryPath, this.path);
+  }
+}
+
+export class MemoryAdapter<T> implements StoreAdapter<T> {
+  public snapshot: Record<string, T> | null;
+  public expires: Record<string, number>;
+
+  constructor(snapshot: Record<string, T> | null = null, expires: Record<string, number> = {}) {
+    this.snapshot = snapshot ? structuredClone(snapshot) : null;
+    this.expires = { ...expires };
+  }
+
+  public async load(): Promise<PersistedState<T> | null> {
+    return this.snapshot ? { data: structuredClone(this.snapshot), expires: { ...this.expires } } : null;
+  }
+
+  public async save(state: PersistedState<T>): Promise<void> {
+    this.snapshot = structuredClone(state.data);
+    this.expires = { ...state.expires };
+  }
+
+  public async delete(): Promise<void> {
+    this.snapshot = null;
+    this.expires = {};
+  }
+}
@@ -1,50 +1,472 @@
-type Listener<T> = (newValue: T, oldValue: T) => void;
+import type { PersistedState, StoreAdapter } from "./adapters";
+import { registerErrorReporter } from "./internal";
+import { validateSchema, type Schema, type Validator } from "./schema";
+import { StoreSync, type StoreSyncOptions, type SyncChannel } from "./sync";
+
+export * from "./adapters";
+export * from "./schema";
+export * from "./sync";
+
+export type ChangeReason = "set" | "deleted" | "expired" | "evicted";
+
+export type Listener<T> = (newValue: T, oldValue: T, reason: ChangeReason, key: string) => void | Promise<void>;
+
+export interface ListenerOptions {
+  once?: boolean;
+}
+
+type ErrorListener = (error: unknown, key: string | null) => void;
+
+export interface StoreChange<T> {
+  key: string;
+  newValue: T | undefined;
+  oldValue: T | undefined;
+  reason: ChangeReason;
+}
+
+type BatchListener<T> = (changes: StoreChange<T>[]) => void | Promise<void>;
+
+export interface StoreOptions<T> {
+  adapter?: StoreAdapter<T>;
+  ttl?: number;
+  maxSize?: number;
+  sweepInterval?: number;
+  validate?: Validator<T> | Schema;
+  defaults?: T | ((key: string) => T);
+  history?: number;
+}
+
+export interface SetOptions {
+  ttl?: number;
+}
+
+export interface Transaction<T> {
+  get(key: string): T | undefined;
+  has(key: string): boolean;
+  set(key: string, value: T, options?: SetOptions): void;
+  delete(key: string): void;
+}
+
+export interface StoreSnapshot<T> {
+  readonly entries: ReadonlyArray<readonly [string, T]>;
+  readonly expires: ReadonlyArray<readonly [string, number]>;
+}
+
+type HistoryChange<T> = {
+  key: string;
+  before: { value: T } | null;
+  after: { value: T } | null;
+};
 
 export class Store<T> {
   private data: Map<string, T> = new Map();
   private listeners: Map<string, Set<Listener<T>>> = new Map();
+  private adapter: StoreAdapter<T> | null;
+  private expires: Map<string, number> = new Map();
+  private sweeper: NodeJS.Timeout | null = null;
+  private ttl: number | null;
+  private maxSize: number;
+  private sweepInterval: number;
+  private batchListeners: Set<BatchListener<T>> = new Set();
+  private batch: StoreChange<T>[] | null = null;
+  private dirty: boolean = false;
+  private patterns: Map<string, RegExp> = new Map();
+  private subscribers: Set<Listener<T>> = new Set();
+  // Keyed by the listener set, so "once" belongs to a registration rather than to the function.
+  private onceListeners: WeakMap<Set<Listener<T>>, Set<Listener<T>>> = new WeakMap();
+  private errorListeners: Set<ErrorListener> = new Set();
+  private tracking: Promise<void>[] | null = null;
+  private validator: ((value: T, key: string) => string | null) | null;
+  private defaults: ((key: string) => T) | null;
+  protected writable: boolean = true;
+  private historyLimit: number;
+  private undoStack: HistoryChange<T>[][] = [];
+  private redoStack: HistoryChange<T>[][] = [];
+  private recording: HistoryChange<T>[] | null = null;
+  private replaying: boolean = false;
+
+  constructor(options: StoreOptions<T> = {}) {
+    if (options.ttl !== undefined && options.ttl <= 0) throw new Error("TTL must be a positive number");
+    if (options.maxSize !== undefined && options.maxSize <= 0) throw new Error("Max size must be a positive number");
+    if (options.history !== undefined && options.history < 0) throw new Error("History must be a non-negative number");
+
+    this.adapter = options.adapter ?? null;
+    this.ttl = options.ttl ?? null;
+    this.maxSize = options.maxSize ?? Infinity;
+    this.sweepInterval = options.sweepInterval ?? 60_000;
+    this.validator = this.createValidator(options.validate);
+    this.defaults = this.createDefaults(options.defaults);
+    this.historyLimit = options.history ?? 0;
+
+    registerErrorReporter(this, (error, key) => this.reportError(error, key));
+  }
   
-  public set(key: string, value: T): void {
+  public set(key: string, value: T, options: SetOptions = {}): void {
     if (!key) throw new Error("Key must be non-empty");
-    
-    const oldValue = this.data.get(key);
-    const exists = this.data.has(key);
-
-    if (!exists || oldValue !== value) {
-      this.data.set(key, value);
+    if (options.ttl !== undefined && options.ttl <= 0) throw new Error("TTL must be a positive number");
 
-      if (!this.listeners.has(key)) {
-        this.listeners.set(key, new Set());
-      }
+    this.assertWritable();
+    this.assertValid(key, value);
+    
+    this.batched(() => this.setEntry(key, value, options));
+  }
 
-      this.notifyListeners(key, value, oldValue);
-    }
+  public async setAsync(key: string, value: T, options: SetOptions = {}): Promise<void> {
+    await this.track(() => this.set(key, value, options));
   }
 
   public get(key: string): T | undefined {
     if (!key) throw new Error("Key must be non-empty");
     
+    if (this.expire(key) || !this.data.has(key)) {
+      return this.defaults?.(key);
+    }
+
+    this.touch(key);
     return this.data.get(key);
   }
 
+  public has(key: string): boolean {
+    if (!key) throw new Error("Key must be non-empty");
+
+    return !this.expire(key) && this.data.has(key);
+  }
+
   public delete(key: string): void {
     if (!key) throw new Error("Key must be non-empty");
 
-    if (this.data.has(key)) {
-      const oldValue = this.data.get(key);
-      this.data.delete(key);
-      this.notifyListeners(key, undefined as any, oldValue);
+    this.assertWritable();
+
+    this.batched(() => this.deleteEntry(key));
+  }
+
+  public async deleteAsync(key: string): Promise<void> {
+    await this.track(() => this.delete(key));
+  }
+
+  public update(key: string, updater: (value: T | undefined) => T, options: SetOptions = {}): T {
+    if (!key) throw new Error("Key must be non-empty");
+
+    const value = updater(this.has(key) ? this.data.get(key) : undefined);
+    this.set(key, value, options);
+
+    return value;
+  }
+
+  public setMany(entries: Record<string, T> | Iterable<[string, T]>, options: SetOptions = {}): void {
+    const pairs = Symbol.iterator in entries ? [...entries as Iterable<[string, T]>] : Object.entries(entries);
+
+    if (pairs.some(([key]) => !key)) throw new Error("Key must be non-empty");
+    if (options.ttl !== undefined && options.ttl <= 0) throw new Error("TTL must be a positive number");
+
+    this.assertWritable();
+    pairs.forEach(([key, value]) => this.assertValid(key, value));
+
+    this.batched(() => pairs.forEach(([key, value]) => this.setEntry(key, value, options)));
+  }
+
+  public getMany(keys: Iterable<string>): Map<string, T> {
+    const result: Map<string, T> = new Map();
+
+    for (const key of keys) {
+      if (this.has(key)) {
+        result.set(key, this.get(key) as T);
+      }
+    }
+
+    return result;
+  }
+
+  public deleteMany(keys: Iterable<string>): void {
+    const targets = [...keys];
+
+    if (targets.some((key) => !key)) throw new Error("Key must be non-empty");
+
+    this.assertWritable();
+
+    this.batched(() => targets.forEach((key) => this.deleteEntry(key)));
+  }
+
+  public clear(): void {
+    this.assertWritable();
+
+    this.batched(() => {
+      for (const key of [...this.data.keys()]) {
+        this.deleteEntry(key);
+      }
+    });
+  }
+
+  public get size(): number {
+    this.sweep();
+    return this.data.size;
+  }
+
+  public keys(): IterableIterator<string> {
+    this.sweep();
+    return this.data.keys();
+  }
+
+  public values(): IterableIterator<T> {
+    this.sweep();
+    return this.data.values();
+  }
+
+  public entries(): IterableIterator<[string, T]> {
+    this.sweep();
+    return this.data.entries();
+  }
+
+  public [Symbol.iterator](): IterableIterator<[string, T]> {
+    return this.entries();
+  }
+
+  public filter(predicate: (value: T, key: string, store: this) => boolean): Map<string, T> {
+    const result: Map<string, T> = new Map();
+
+    for (const [key, value] of this.entries()) {
+      if (predicate(value, key, this)) {
+        result.set(key, value);
+      }
+    }
+
+    return result;
+  }
+
+  public find(predicate: (value: T, key: string, store: this) => boolean): T | undefined {
+    for (const [key, value] of this.entries()) {
+      if (predicate(value, key, this)) {
+        return value;
+      }
+    }
+
+    return undefined;
+  }
+
+  public map<U>(mapper: (value: T, key: string, store: this) => U): U[] {
+    return [...this.entries()].map(([key, value]) => mapper(value, key, this));
+  }
+
+  public sweep(): number {
+    const now = Date.now();
+    let count = 0;
+
+    this.batched(() => {
+      for (const [key, expiresAt] of this.expires) {
+        if (expiresAt <= now) {
+          this.remove(key, "expired");
+          count++;
+        }
+      }
+
+      if (count > 0) {
+        this.persist();
+      }
+    });
+
+    if (this.expires.size === 0) {
+      this.stopSweeper();
+    }
+
+    return count;
+  }
+
+  public stopSweeper(): void {
+    if (this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
+  }
+
+  public transaction<R>(callback: (transaction: Transaction<T>) => R): R {
+    this.assertWritable();
+
+    const staged: Map<string, { value: T; options: SetOptions } | null> = new Map();
+    let completed = false;
+
+    const assertOpen = () => {
+      if (completed) throw new Error("Transaction has already been completed");
+    };
+
+    const transaction: Transaction<T> = {
+      get: (key) => {
+        assertOpen();
+        const entry = staged.get(key);
+        return entry === undefined ? this.get(key) : entry === null ? undefined : entry.value;
+      },
+      has: (key) => {
+        assertOpen();
+        const entry = staged.get(key);
+        return entry === undefined ? this.has(key) : entry !== null;
+      },
+      set: (key, value, options = {}) => {
+        assertOpen();
+        if (!key) throw new Error("Key must be non-empty");
+        if (options.ttl !== undefined && options.ttl <= 0) throw new Error("TTL must be a positive number");
+
+        this.assertValid(key, value);
+        staged.delete(key);
+        staged.set(key, { value, options });
+      },
+      delete: (key) => {
+        assertOpen();
+        if (!key) throw new Error("Key must be non-empty");
+
+        staged.delete(key);
+        staged.set(key, null);
+      },
+    };
+
+    const commit = () => {
+      completed = true;
+
+      this.batched(() => {
+        for (const [key, entry] of staged) {
+          if (entry === null) {
+            this.deleteEntry(key);
+          } else {
+            this.setEntry(key, entry.value, entry.options);
+          }
+        }
+      });
+    };
+
+    let result: R;
+
+    try {
+      result = callback(transaction);
+    } catch (error) {
+      completed = true;
+      throw error;
     }
+
+    if (result instanceof Promise) {
+      return result.then((value) => {
+        commit();
+        return value;
+      }, (error) => {
+        completed = true;
+        throw error;
+      }) as R;
+    }
+
+    commit();
+    return result;
+  }
+
+  public snapshot(): StoreSnapshot<T> {
+    this.sweep();
+
+    return Object.freeze({
+      entries: Object.freeze([...this.data.entries()]),
+      expires: Object.freeze([...this.expires.entries()]),
+    });
+  }
+
+  public restore(snapshot: StoreSnapshot<T>): void {
+    this.assertWritable();
+
+    const entries = new Map(snapshot.entries);
+    const expires = new Map(snapshot.expires);
+    const now = Date.now();
+
+    this.batched(() => {
+      for (const key of [...this.data.keys()]) {
+        if (!entries.has(key)) {
+          this.deleteEntry(key);
+        }
+      }
+
+      for (const [key, value] of entries) {
+        const expiresAt = expires.get(key);
+
+        if (expiresAt !== undefined && expiresAt <= now) {
+          this.deleteEntry(key);
+          continue;
+        }
+
+        this.setEntry(key, value, {});
+
+        if (expiresAt !== undefined) {
+          this.expires.set(key, expiresAt);
+          this.startSweeper();
+        } else {
+          this.expires.delete(key);
+        }
+      }
+    });
   }
 
-  public addListener(key: string, listener: Listener<T>): void {
+  public get canUndo(): boolean {
+    return this.undoStack.length > 0;
+  }
+
+  public get canRedo(): boolean {
+    return this.redoStack.length > 0;
+  }
+
+  public undo(): boolean {
+    this.assertWritable();
+
+    const changes = this.undoStack.pop();
+
+    if (!changes) {
+      return false;
+    }
+
+    this.replay([...changes].reverse().map(({ key, before }) => ({ key, value: before })));
+    this.redoStack.push(changes);
+
+    return true;
+  }
+
+  public redo(): boolean {
+    this.assertWritable();
+
+    const changes = this.redoStack.pop();
+
+    if (!changes) {
+      return false;
+    }
+
+    this.replay(changes.map(({ key, after }) => ({ key, value: after })));
+    this.undoStack.push(changes);
+
+    return true;
+  }
+
+  public clearHistory(): void {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  public addBatchListener(listener: BatchListener<T>): () => void {
+    this.batchListeners.add(listener);
+    return () => this.removeBatchListener(listener);
+  }
+
+  public removeBatchListener(listener: BatchListener<T>): void {
+    this.batchListeners.delete(listener);
+  }
+
+  public addListener(key: string, listener: Listener<T>, options: ListenerOptions = {}): () => void {
     if (!key) throw new Error("Key must be non-empty");
 
     if (!this.listeners.has(key)) {
       this.listeners.set(key, new Set());
     }
 
-    this.listeners.get(key)?.add(listener);
+    if (key.includes("*") && !this.patterns.has(key)) {
+      const source = key.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+      this.patterns.set(key, new RegExp(`^${source}$`));
+    }
+
+    this.register(this.listeners.get(key)!, listener, options.once ?? false);
+    return () => this.removeListener(key, listener);
+  }
+
+  public once(key: string, listener: Listener<T>): () => void {
+    return this.addListener(key, listener, { once: true });
   }
 
   public removeListener(key: string, listener: Listener<T>): void {
@@ -53,31 +475,453 @@ export class Store<T> {
     this.listeners.get(key)?.delete(listener);
   }
 
-  private notifyListeners(key: string, newValue: T | undefined, oldValue: T | undefined): void {
-    const listeners = this.listeners.get(key);
-    
-    if (listeners) {
-      listeners.forEach((listener) => listener(newValue ?? (undefined as unknown as T), oldValue ?? (undefined as unknown as T)));
+  public subscribe(listener: Listener<T>, options: ListenerOptions = {}): () => void {
+    this.register(this.subscribers, listener, options.once ?? false);
+    return () => this.subscribers.delete(listener);
+  }
+
+  public onError(listener: ErrorListener): () => void {
+    this.errorListeners.add(listener);
+    return () => this.errorListeners.delete(listener);
+  }
+
+  public get persistent(): boolean {
+    return this.adapter !== null;
+  }
+
+  public async hydrate(): Promise<void> {
+    if (!this.adapter) throw new Error("Store does not have an adapter");
+
+    const state = await this.adapter.load();
+    const now = Date.now();
+    const previous = new Map(this.data);
+
+    // Loaded entries go out as one batch, so derived stores and listeners see the hydrated state.
+    this.batched(() => {
+      this.data.clear();
+      this.expires.clear();
+
+      for (const [key, value] of Object.entries(state?.data ?? {})) {
+        // Entries saved without an expiry still pick up the store's default TTL.
+        const expiresAt = state?.expires?.[key] ?? (this.ttl !== null ? now + this.ttl : undefined);
+
+        if (expiresAt !== undefined && expiresAt <= now) {
+          continue;
+        }
+
+        const error = this.validator?.(value, key);
+
+        if (error) {
+          // Invalid persisted values are skipped instead of failing the whole store.
+          this.reportError(new Error(`Invalid value for key '${key}': ${error}`), key);
+          continue;
+        }
+
+        this.data.set(key, value);
+
+        if (expiresAt !== undefined) {
+          this.expires.set(key, expiresAt);
+        }
+      }
+
+      for (const [key, oldValue] of previous) {
+        if (!this.data.has(key)) {
+          this.notifyListeners(key, undefined, oldValue, "deleted");
+        }
+      }
+
+      for (const [key, value] of this.data) {
+        if (!previous.has(key) || previous.get(key) !== value) {
+          this.notifyListeners(key, value, previous.get(key), "set");
+        }
+      }
+
+      // Entries are loaded oldest first, so a smaller maxSize keeps the most recently written ones.
+      this.evict();
+    });
+
+    if (this.expires.size > 0) {
+      this.startSweeper();
+    }
+  }
+
+  public async flush(): Promise<void> {
+    if (!this.adapter) throw new Error("Store does not have an adapter");
+
+    if (this.adapter.flush) {
+      await this.adapter.flush();
+    } else {
+      await this.adapter.save(this.serialize());
+    }
+  }
+
+  public async destroy(): Promise<void> {
+    this.stopSweeper();
+    this.data.clear();
+    this.expires.clear();
+    await this.adapter?.delete();
+  }
+
+  private createValidator(validate: Validator<T> | Schema | undefined): ((value: T, key: string) => string | null) | null {
+    if (validate === undefined) {
+      return null;
+    } else if (typeof validate === "function") {
+      return (value, key) => {
+        const result = validate(value, key);
+        return result === true ? null : result || "validation failed";
+      };
+    }
+
+    return (value) => validateSchema(validate, value);
+  }
+
+  private createDefaults(defaults: T | ((key: string) => T) | undefined): ((key: string) => T) | null {
+    if (defaults === undefined) {
+      return null;
+    } else if (typeof defaults === "function") {
+      return defaults as (key: string) => T;
+    }
+
+    // Each missing key gets its own copy so callers cannot mutate the shared defaults.
+    return () => structuredClone(defaults);
+  }
+
+  private assertValid(key: string, value: T): void {
+    const error = this.validator?.(value, key);
+
+    if (error) {
+      throw new Error(`Invalid value for key '${key}': ${error}`);
+    }
+  }
+
+  private assertWritable(): void {
+    if (!this.writable) {
+      throw new Error("Store is read-only");
+    }
+  }
+
+  private replay(changes: { key: string; value: { value: T } | null }[]): void {
+    this.replaying = true;
+
+    try {
+      this.batched(() => {
+        for (const { key, value } of changes) {
+          if (value === null) {
+            this.deleteEntry(key);
+          } else {
+            this.setEntry(key, value.value, {});
+          }
+        }
+      });
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  private record(key: string, before: { value: T } | null, after: { value: T } | null): void {
+    if (this.historyLimit > 0 && !this.replaying) {
+      this.recording?.push({ key, before, after });
     }
   }
+
+  private setEntry(key: string, value: T, options: SetOptions): void {
+    this.expire(key);
+
+    const oldValue = this.data.get(key);
+    const exists = this.data.has(key);
+    const ttl = options.ttl ?? this.ttl;
+
+    if (ttl !== null) {
+      this.expires.set(key, Date.now() + ttl);
+      this.startSweeper();
+    } else {
+      this.expires.delete(key);
+    }
+
+    if (!exists || oldValue !== value) {
+      // Re-inserting moves the key to the most recently used position.
+      if (this.maxSize !== Infinity) {
+        this.data.delete(key);
+      }
+
+      this.data.set(key, value);
+
+      if (!this.listeners.has(key)) {
+        this.listeners.set(key, new Set());
+      }
+
+      this.record(key, exists ? { value: oldValue as T } : null, { value });
+      this.notifyListeners(key, value, oldValue, "set");
+      this.evict();
+      this.persist();
+    } else {
+      this.touch(key);
+    }
+  }
+
+  private deleteEntry(key: string): void {
+    if (!this.expire(key) && this.data.has(key)) {
+      this.record(key, { value: this.data.get(key) as T }, null);
+      this.remove(key, "deleted");
+      this.persist();
+    }
+  }
+
+  private batched<R>(callback: () => R): R {
+    if (this.batch !== null) {
+      return callback();
+    }
+
+    this.batch = [];
+    this.recording = [];
+
+    try {
+      return callback();
+    } finally {
+      const changes = this.batch;
+      const dirty = this.dirty;
+      const recorded = this.recording;
+      this.batch = null;
+      this.dirty = false;
+      this.recording = null;
+
+      if (recorded.length > 0) {
+        this.undoStack.push(recorded);
+        this.undoStack.splice(0, Math.max(0, this.undoStack.length - this.historyLimit));
+        this.redoStack = [];
+      }
+
+      if (dirty) {
+        this.persist();
+      }
+
+      if (changes.length > 0) {
+        this.notifyBatchListeners(changes);
+      }
+    }
+  }
+
+  private expire(key: string): boolean {
+    const expiresAt = this.expires.get(key);
+
+    if (expiresAt === undefined || expiresAt > Date.now()) {
+      return false;
+    }
+
+    this.remove(key, "expired");
+    this.persist();
+
+    return true;
+  }
+
+  private evict(): void {
+    while (this.data.size > this.maxSize) {
+      const oldest = this.data.keys().next().value as string;
+      this.remove(oldest, "evicted");
+    }
+  }
+
+  private touch(key: string): void {
+    if (this.maxSize !== Infinity && this.data.has(key)) {
+      const value = this.data.get(key) as T;
+      this.data.delete(key);
+      this.data.set(key, value);
+    }
+  }
+
+  private remove(key: string, reason: ChangeReason): void {
+    const oldValue = this.data.get(key);
+
+    this.data.delete(key);
+    this.expires.delete(key);
+    this.notifyListeners(key, undefined, oldValue, reason);
+  }
+
+  private startSweeper(): void {
+    if (this.sweeper || this.sweepInterval <= 0) {
+      return;
+    }
+
+    this.sweeper = setInterval(() => this.sweep(), this.sweepInterval);
+    this.sweeper.unref?.();
+  }
+
+  private persist(): void {
+    if (this.batch !== null) {
+      this.dirty = true;
+      return;
+    }
+
+    this.adapter?.save(this.serialize()).catch((error) => this.reportError(error, null));
+  }
+
+  private register(listeners: Set<Listener<T>>, listener: Listener<T>, once: boolean): void {
+    listeners.add(listener);
+
+    if (once) {
+      if (!this.onceListeners.has(listeners)) {
+        this.onceListeners.set(listeners, new Set());
+      }
+
+      this.onceListeners.get(listeners)!.add(listener);
+    } else {
+      this.onceListeners.get(listeners)?.delete(listener);
+    }
+  }
+
+  private serialize(): PersistedState<T> {
+    return { data: Object.fromEntries(this.data), expires: Object.fromEntries(this.expires) };
+  }
+
+  private async track(callback: () => void): Promise<void> {
+    const outer = this.tracking === null;
+
+    if (outer) {
+      this.tracking = [];
+    }
+
+    try {
+      callback();
+    } finally {
+      if (outer) {
+        const pending = this.tracking!;
+        this.tracking = null;
+        await Promise.all(pending);
+      }
+    }
+  }
+
+  private reportError(error: unknown, key: string | null): void {
+    if (this.errorListeners.size === 0) {
+      console.error(`Error in store${key ? ` listener for key '${key}'` : ""}: ${error instanceof Error ? error.message : error}`);
+      return;
+    }
+
+    this.errorListeners.forEach((listener) => {
+      try {
+        listener(error, key);
+      } catch (listenerError) {
+        console.error(`Error in store error listener: ${listenerError instanceof Error ? listenerError.message : listenerError}`);
+      }
+    });
+  }
+
+  private invoke(callback: () => void | Promise<void>, key: string | null): void {
+    try {
+      const result = callback();
+
+      if (result instanceof Promise) {
+        const handled = result.catch((error) => this.reportError(error, key));
+        this.tracking?.push(handled);
+      }
+    } catch (error) {
+      this.reportError(error, key);
+    }
+  }
+
+  private notifyBatchListeners(changes: StoreChange<T>[]): void {
+    this.batchListeners.forEach((listener) => this.invoke(() => listener(changes), null));
+  }
+
+  private notifyListeners(key: string, newValue: T | undefined, oldValue: T | undefined, reason: ChangeReason): void {
+    if (this.batch !== null) {
+      this.batch.push({ key, newValue, oldValue, reason });
+    } else if (this.batchListeners.size > 0) {
+      this.notifyBatchListeners([{ key, newValue, oldValue, reason }]);
+    }
+
+    const targets: [Set<Listener<T>>, Listener<T>][] = [];
+
+    const collect = (listeners: Set<Listener<T>> | undefined) => {
+      listeners?.forEach((listener) => targets.push([listeners, listener]));
+    };
+
+    collect(this.listeners.get(key));
+
+    for (const [pattern, regex] of this.patterns) {
+      if (pattern !== key && regex.test(key)) {
+        collect(this.listeners.get(pattern));
+      }
+    }
+
+    collect(this.subscribers);
+
+    for (const [listeners, listener] of targets) {
+      const once = this.onceListeners.get(listeners);
+
+      if (once?.has(listener)) {
+        listeners.delete(listener);
+        once.delete(listener);
+      }
+
+      this.invoke(() => listener(newValue ?? (undefined as unknown as T), oldValue ?? (undefined as unknown as T), reason, key), key);
+    }
+  }
+}
+
+export class DerivedStore<T> extends Store<T> {
+  private unsubscribers: (() => void)[];
+  private compute: () => Record<string, T> | Iterable<[string, T]>;
+
+  constructor(sources: Store<any>[], compute: (...sources: Store<any>[]) => Record<string, T> | Iterable<[string, T]>) {
+    super();
+    this.writable = false;
+    this.unsubscribers = sources.map((source) => source.addBatchListener(() => this.recompute()));
+    this.compute = () => compute(...sources);
+    this.recompute();
+  }
+
+  public recompute(): void {
+    const result = this.compute();
+    const entries = new Map(Symbol.iterator in result ? result as Iterable<[string, T]> : Object.entries(result));
+    const removed = [...this.keys()].filter((key) => !entries.has(key));
+
+    this.writable = true;
+
+    try {
+      this.deleteMany(removed);
+      this.setMany(entries);
+    } finally {
+      this.writable = false;
+    }
+  }
+
+  public dispose(): void {
+    this.unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+  }
 }
 
 export class NamedStores {
   private stores: Map<string, Store<any>> = new Map();
+  private syncs: Set<StoreSync> = new Set();
 
-  public createStore<T>(name: string): Store<T> {
+  public createStore<T>(name: string, options: StoreOptions<T> = {}): Store<T> {
     if (!name) throw new Error("Name must be non-empty");
 
     if (this.stores.has(name)) {
       throw new Error(`Store with name '${name}' already exists`);
     }
 
-    const store = new Store<T>();
+    const store = new Store<T>(options);
     this.stores.set(name, store);
+    this.syncs.forEach((sync) => sync.attach(name, store));
     
     return store;
   }
 
+  public derive<T>(name: string, sources: string[], compute: (...sources: Store<any>[]) => Record<string, T> | Iterable<[string, T]>): DerivedStore<T> {
+    if (!name) throw new Error("Name must be non-empty");
+
+    if (this.stores.has(name)) {
+      throw new Error(`Store with name '${name}' already exists`);
+    }
+
+    const store = new DerivedStore<T>(sources.map((source) => this.getStore(source)), compute);
+    this.stores.set(name, store);
+
+    return store;
+  }
+
   public getStore<T>(name: string): Store<T> {
     if (!name) throw new Error("Name must be non-empty");
 
@@ -97,6 +941,48 @@ export class NamedStores {
       throw new Error(`Store with name '${name}' does not exist`);
     }
 
+    const store = this.stores.get(name)!;
     this.stores.delete(name);
+    this.syncs.forEach((sync) => sync.detach(name));
+
+    if (store instanceof DerivedStore) {
+      store.dispose();
+    }
+
+    if (store.persistent) {
+      store.destroy().catch((error: any) => {
+        console.error(`Error while deleting store '${name}': ${error.message}`);
+      });
+    }
+  }
+
+  // Derived stores are recomputed locally from their synced sources, so they are never broadcast.
+  public sync(channel: SyncChannel, options: StoreSyncOptions = {}): () => void {
+    const sync = new StoreSync(channel, options);
+
+    for (const [name, store] of this.stores) {
+      if (!(store instanceof DerivedStore)) {
+        sync.attach(name, store);
+      }
+    }
+
+    this.syncs.add(sync);
+
+    return () => {
+      this.syncs.delete(sync);
+      sync.close();
+    };
+  }
+
+  public async hydrate(): Promise<void> {
+    await Promise.all([...this.stores.values()]
+      .filter((store) => store.persistent)
+      .map((store) => store.hydrate()));
+  }
+
+  public async flush(): Promise<void> {
+    await Promise.all([...this.stores.values()]
+      .filter((store) => store.persistent)
+      .map((store) => store.flush()));
   }
 }
\ No newline at end of file
@@ -0,0 +1,12 @@
+// Package-internal hooks, kept out of the index exports so they never become part of the Store API.
+type ErrorReporter = (error: unknown, key: string | null) => void;
+
+const errorReporters: WeakMap<object, ErrorReporter> = new WeakMap();
+
+export function registerErrorReporter(store: object, reporter: ErrorReporter): void {
+  errorReporters.set(store, reporter);
+}
+
+export function reportStoreError(store: object, error: unknown, key: string | null): void {
+  errorReporters.get(store)?.(error, key);
+}
@@ -0,0 +1,56 @@
+type SchemaType = "string" | "number" | "boolean" | "object" | "any";
+
+export type Schema = `${SchemaType}${"" | "[]"}${"" | "?"}` | Schema[] | { [key: string]: Schema };
+
+export type Validator<T> = (value: T, key: string) => boolean | string;
+
+function typeOf(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+export function validateSchema(schema: Schema, value: unknown, path: string = "value"): string | null {
+  if (typeof schema === "string") {
+    const optional = schema.endsWith("?");
+    const type = optional ? schema.slice(0, -1) : schema;
+
+    if (value === undefined) {
+      return optional ? null : `expected '${path}' to be ${type}, received undefined`;
+    }
+
+    if (type.endsWith("[]")) {
+      return validateSchema([type.slice(0, -2) as Schema], value, path);
+    }
+
+    if (type === "any" || typeOf(value) === type) {
+      return type === "number" && Number.isNaN(value) ? `expected '${path}' to be number, received NaN` : null;
+    }
+
+    return `expected '${path}' to be ${type}, received ${typeOf(value)}`;
+  }
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      return `expected '${path}' to be array, received ${typeOf(value)}`;
+    }
+
+    for (let index = 0; index < value.length; index++) {
+      const error = validateSchema(schema[0] ?? "any", value[index], `${path}[${index}]`);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  if (typeOf(value) !== "object") {
+    return `expected '${path}' to be object, received ${typeOf(value)}`;
+  }
+
+  for (const [key, child] of Object.entries(schema)) {
+    const error = validateSchema(child, (value as Record<string, unknown>)[key], path === "value" ? key : `${path}.${key}`);
+    if (error) return error;
+  }
+
+  return null;
+}
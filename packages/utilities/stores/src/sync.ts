@@ -0,0 +1,178 @@
+import { randomUUID } from "crypto";
+import type { Store } from "./index";
+import { reportStoreError } from "./internal";
+
+export interface SyncMessage {
+  type: "aezen:stores:sync";
+  origin: string;
+  store: string;
+  key: string;
+  action: "set" | "delete";
+  value?: unknown;
+  version: number;
+}
+
+export interface SyncChannel {
+  send(message: SyncMessage): void;
+  subscribe(handler: (message: SyncMessage) => void): () => void;
+}
+
+interface IpcEndpoint {
+  send?(message: any): unknown;
+  postMessage?(message: any): void;
+  on(event: "message", listener: (message: any) => void): unknown;
+  off?(event: "message", listener: (message: any) => void): unknown;
+  removeListener?(event: "message", listener: (message: any) => void): unknown;
+}
+
+export interface StoreSyncOptions {
+  id?: string;
+}
+
+function isSyncMessage(message: any): message is SyncMessage {
+  return typeof message === "object" && message !== null && message.type === "aezen:stores:sync";
+}
+
+export class IpcChannel implements SyncChannel {
+  private endpoints: IpcEndpoint[];
+
+  // Works with child processes, worker threads, message ports, and `process` or `parentPort` on the other side.
+  constructor(endpoints: IpcEndpoint | IpcEndpoint[] = process as IpcEndpoint) {
+    this.endpoints = Array.isArray(endpoints) ? endpoints : [endpoints];
+
+    if (this.endpoints.some((endpoint) => !endpoint.send && !endpoint.postMessage)) {
+      throw new Error("Endpoint is not connected to an IPC channel");
+    }
+  }
+
+  public send(message: SyncMessage, except?: IpcEndpoint): void {
+    for (const endpoint of this.endpoints) {
+      if (endpoint === except) continue;
+
+      if (endpoint.postMessage) {
+        endpoint.postMessage(message);
+      } else {
+        endpoint.send!(message);
+      }
+    }
+  }
+
+  public subscribe(handler: (message: SyncMessage) => void): () => void {
+    const listeners = this.endpoints.map((endpoint) => {
+      const listener = (message: any) => {
+        if (!isSyncMessage(message)) return;
+
+        // A process with several endpoints acts as a hub and relays to the rest.
+        this.send(message, endpoint);
+        handler(message);
+      };
+
+      endpoint.on("message", listener);
+      return [endpoint, listener] as const;
+    });
+
+    return () => {
+      for (const [endpoint, listener] of listeners) {
+        (endpoint.off ?? endpoint.removeListener)?.call(endpoint, "message", listener);
+      }
+    };
+  }
+}
+
+export class StoreSync {
+  public id: string;
+  private channel: SyncChannel;
+  private stores: Map<string, { store: Store<any>; unsubscribe: () => void }> = new Map();
+  private versions: Map<string, Map<string, { version: number; origin: string }>> = new Map();
+  private applying: boolean = false;
+  private unsubscribe: () => void;
+
+  constructor(channel: SyncChannel, options: StoreSyncOptions = {}) {
+    this.id = options.id ?? randomUUID();
+    this.channel = channel;
+    this.unsubscribe = channel.subscribe((message) => this.receive(message));
+  }
+
+  public attach(name: string, store: Store<any>): void {
+    if (this.stores.has(name)) {
+      throw new Error(`Store with name '${name}' is already synced`);
+    }
+
+    const unsubscribe = store.subscribe((newValue, _, reason, key) => {
+      // Expiry and eviction are local cache decisions, so only explicit writes are broadcast.
+      if (this.applying || (reason !== "set" && reason !== "deleted")) return;
+
+      const version = this.bump(name, key, this.id);
+
+      this.channel.send({
+        type: "aezen:stores:sync",
+        origin: this.id,
+        store: name,
+        key,
+        action: reason === "set" ? "set" : "delete",
+        value: newValue,
+        version,
+      });
+    });
+
+    this.stores.set(name, { store, unsubscribe });
+  }
+
+  public detach(name: string): void {
+    this.stores.get(name)?.unsubscribe();
+    this.stores.delete(name);
+    this.versions.delete(name);
+  }
+
+  public close(): void {
+    for (const name of [...this.stores.keys()]) {
+      this.detach(name);
+    }
+
+    this.unsubscribe();
+  }
+
+  private bump(name: string, key: string, origin: string, version?: number): number {
+    if (!this.versions.has(name)) {
+      this.versions.set(name, new Map());
+    }
+
+    const versions = this.versions.get(name)!;
+    const next = version ?? (versions.get(key)?.version ?? 0) + 1;
+    versions.set(key, { version: next, origin });
+
+    return next;
+  }
+
+  private receive(message: SyncMessage): void {
+    const target = this.stores.get(message.store);
+
+    if (!target || message.origin === this.id) {
+      return;
+    }
+
+    const current = this.versions.get(message.store)?.get(message.key);
+
+    // Last write wins, with the origin id breaking ties between concurrent writes.
+    if (current && (message.version < current.version || (message.version === current.version && message.origin <= current.origin))) {
+      return;
+    }
+
+    this.applying = true;
+
+    try {
+      if (message.action === "set") {
+        target.store.set(message.key, message.value);
+      } else {
+        target.store.delete(message.key);
+      }
+
+      // Rejected writes keep the old version, so a later valid write for the same version still applies.
+      this.bump(message.store, message.key, message.origin, message.version);
+    } catch (error) {
+      reportStoreError(target.store, error, message.key);
+    } finally {
+      this.applying = false;
+    }
+  }
+}
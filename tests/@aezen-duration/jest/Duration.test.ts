@@ -1,4 +1,4 @@
-import { Duration } from "../../../packages/utilities/duration/src/index";
+import { Duration, DurationParseError } from "../../../packages/utilities/duration/src/index";
 
 const cases = {
   instance: [
@@ -22,6 +22,87 @@ const cases = {
     ["3months 5w 12h 66s", "4 months, 5 days, 1 hour and 32 minutes"]
   ],
 
+  localized: [
+    ["2h5m", "tl", "2 oras at 5 minuto"],
+    ["1h1m1s", "tl", "1 oras, 1 minuto, at 1 segundo"],
+    ["8d26h5m", "en", "1 week, 2 days, 2 hours, and 5 minutes"],
+    ["1500 years", "en", "1 millennium and 5 centuries"],
+    ["2h5m", "tl-PH", "2 oras at 5 minuto"],
+    ["2h5m", "fr", "2 hours and 5 minutes"]
+  ],
+
+  iso: [
+    ["PT90M", "1 hour 30 minutes"],
+    ["P2W", "2 weeks"],
+    ["P1Y2M3DT4H5M6.5S", "1 year 2 months 3 days 4 hours 5 minutes 6 seconds 500 milliseconds"],
+    ["-PT1.5S", "-1 second 500 milliseconds"],
+    ["PT0,25H", "15 minutes"],
+    ["P0D", "0 seconds"]
+  ],
+
+  toISO: [
+    ["1h 30m", "PT1H30M"],
+    ["2w", "P14D"],
+    ["1y 2mo 3d 4h 5m 6.5s", "P1Y2M3DT4H5M6.5S"],
+    ["-1.5s", "-PT1.5S"],
+    ["1.25ms", "PT0.00125S"],
+    ["0", "PT0S"]
+  ],
+
+  calendar: [
+    ["1 month", "2024-01-31T10:00:00Z", "UTC", "2024-02-29T10:00:00.000Z"],
+    ["1 year", "2024-02-29T00:00:00Z", "UTC", "2025-02-28T00:00:00.000Z"],
+    ["-1 month", "2024-03-31T00:00:00Z", "UTC", "2024-02-29T00:00:00.000Z"],
+    ["1 day", "2024-03-09T17:00:00Z", "America/New_York", "2024-03-10T16:00:00.000Z"],
+    ["24 hours", "2024-03-09T17:00:00Z", "America/New_York", "2024-03-10T17:00:00.000Z"],
+    ["1 month 2 days 3 hours", "2024-01-15T22:00:00Z", "Asia/Manila", "2024-02-18T01:00:00.000Z"]
+  ],
+
+  between: [
+    ["2024-01-31T00:00:00Z", "2024-03-01T05:30:00Z", "UTC", [0, 1, 1, 5, 30]],
+    ["2020-05-10T00:00:00Z", "2024-03-09T00:00:00Z", "UTC", [3, 9, 28, 0, 0]],
+    ["2024-03-01T00:00:00Z", "2024-01-31T00:00:00Z", "UTC", [0, -1, -1, 0, 0]],
+    ["2024-03-09T17:00:00Z", "2024-03-10T16:00:00Z", "America/New_York", [0, 0, 1, 0, 0]]
+  ] as [string, string, string, number[]][],
+
+  arithmetic: [
+    ["1h", "add", "30m", "1 hour 30 minutes"],
+    ["1h", "subtract", "90m", "-30 minutes"],
+    ["1h 30m", "multiply", 3, "4 hours 30 minutes"],
+    ["1h", "divide", 3, "20 minutes"],
+    ["1h", "divide", "0.5", "2 hours"]
+  ] as [string, "add" | "subtract" | "multiply" | "divide", string | number, string][],
+
+  rounding: [
+    ["1h 29m 59s", "round", "h", "1 hour"],
+    ["1h 30m", "round", "hours", "2 hours"],
+    ["1h 59m", "floor", "hour", "1 hour"],
+    ["1h 1s", "ceil", "minutes", "1 hour 1 minute"],
+    ["-1h 30m", "floor", "minute", "-30 minutes"]
+  ] as [string, "round" | "floor" | "ceil", string, string][],
+
+  strict: [
+    ["5 minites", "minites", 2, ["minutes", "minute"]],
+    ["2 hrz", "hrz", 2, ["hrs", "hr"]],
+    ["1h foo", "foo", 3, []],
+    ["5 3s", "5", 0, []],
+    ["minutes", "minutes", 0, []],
+    ["", "", 0, []]
+  ] as [string, string, number, string[]][],
+
+  relative: [
+    ["in 2 hours", "2024-03-06T12:00:00.000Z", "2 hours"],
+    ["3 days ago", "2024-03-03T10:00:00.000Z", "-3 days"],
+    ["2h from now", "2024-03-06T12:00:00.000Z", "2 hours"],
+    ["tomorrow at 5pm", "2024-03-07T17:00:00.000Z", "1 day 7 hours"],
+    ["next friday", "2024-03-08T10:00:00.000Z", "2 days"],
+    ["next wednesday", "2024-03-13T10:00:00.000Z", "1 week"],
+    ["last friday at 9:30 am", "2024-03-01T09:30:00.000Z", "-5 days 30 minutes"],
+    ["at 9am", "2024-03-07T09:00:00.000Z", "23 hours"],
+    ["this sunday at noon", "2024-03-10T12:00:00.000Z", "4 days 2 hours"],
+    ["now", "2024-03-06T10:00:00.000Z", "0 seconds"]
+  ] as [string, string, string][],
+
   binary: [
     ["1hour and 56 minutes", "1101100110000"],
     ["876960000", "11010110000110100000"],
@@ -103,6 +184,196 @@ describe("@aezen/duration", () => {
     );
   })
 
+  describe("localized formatting", () => {
+    test.each(cases.localized)(
+      "%p in %p --> %p.",
+      (firstArg, locale, expectedResult) => {
+        const duration = new Duration(firstArg);
+        expect(duration.elegant(7, { right: " ", left: " " }, locale)).toBe(expectedResult);
+      }
+    );
+
+    test("Uses plural categories of registered language packs.", () => {
+      Duration.registerLanguage("pl", {
+        units: {
+          hour: { one: "godzina", few: "godziny", many: "godzin", other: "godziny" },
+          minute: { one: "minuta", few: "minuty", many: "minut", other: "minuty" }
+        }
+      });
+
+      expect(new Duration("1h 2m").verbose(7, { right: " ", left: " " }, "pl")).toBe("1 godzina 2 minuty");
+      expect(new Duration("5h 22m").elegant(7, { right: " ", left: " " }, "pl")).toBe("5 godzin i 22 minuty");
+      expect(new Duration("0").verbose(7, { right: " ", left: " " }, "pl")).toBe("0 seconds");
+    });
+  })
+
+  describe("ISO 8601", () => {
+    test.each(cases.iso)(
+      "fromISO(%p) --> %p.",
+      (firstArg, expectedResult) => {
+        expect(Duration.fromISO(firstArg).verbose()).toBe(expectedResult);
+      }
+    );
+
+    test.each(cases.toISO)(
+      "%p --> %p.",
+      (firstArg, expectedResult) => {
+        const duration = new Duration(firstArg);
+        expect(duration.toISO()).toBe(expectedResult);
+        expect(Duration.fromISO(duration.toISO() as string).ms.eq(duration.ms)).toBeTruthy();
+      }
+    );
+
+    test("Keeps the parsed components.", () => {
+      const duration = Duration.fromISO("P1Y2M3DT4H");
+      expect([duration.years, duration.months, duration.days, duration.hours]).toEqual([1, 2, 3, 4]);
+    });
+
+    test.each(["P", "PT", "1Y", "P1H", "PT1D", "P1.5.5Y"])(
+      "Rejects %p.",
+      (firstArg) => {
+        expect(() => Duration.fromISO(firstArg)).toThrow("Invalid ISO 8601 duration");
+      }
+    );
+  })
+
+  describe("calendar dates", () => {
+    test.each(cases.calendar)(
+      "%p from %p in %p --> %p.",
+      (pattern, date, timeZone, expectedResult) => {
+        const duration = new Duration(pattern);
+        expect(duration.dateFrom(new Date(date), { calendar: true, timeZone }).toISOString()).toBe(expectedResult);
+      }
+    );
+
+    test("Adds fixed lengths without calendar mode.", () => {
+      const duration = new Duration("1 day");
+      expect(duration.dateFrom(new Date("2024-03-09T17:00:00Z")).toISOString()).toBe("2024-03-10T17:00:00.000Z");
+    });
+
+    test.each(cases.between)(
+      "between(%p, %p) in %p --> %p.",
+      (start, end, timeZone, expectedResult) => {
+        const duration = Duration.between(new Date(start), new Date(end), { timeZone });
+        expect([duration.years, duration.months, duration.days, duration.hours, duration.minutes]).toEqual(expectedResult);
+        expect(duration.ms.toNumber()).toBe(new Date(end).getTime() - new Date(start).getTime());
+      }
+    );
+
+    test("Round-trips between() through calendar dateFrom().", () => {
+      const start = new Date("2020-05-10T08:15:00Z");
+      const end = new Date("2024-03-09T17:45:30Z");
+      const duration = Duration.between(start, end, { timeZone: "Europe/Berlin" });
+
+      expect(duration.dateFrom(start, { calendar: true, timeZone: "Europe/Berlin" }).toISOString()).toBe(end.toISOString());
+    });
+
+    test("Rejects invalid time zones.", () => {
+      expect(() => new Duration("1d").dateFrom(new Date(), { calendar: true, timeZone: "Mars/Base" })).toThrow("Invalid time zone: Mars/Base");
+    });
+  })
+
+  describe("arithmetic", () => {
+    test.each(cases.arithmetic)(
+      "%p %s %p --> %p.",
+      (firstArg, method, operand, expectedResult) => {
+        const duration = new Duration(firstArg);
+        expect((duration[method] as (value: string | number) => Duration)(operand).verbose()).toBe(expectedResult);
+      }
+    );
+
+    test.each(cases.rounding)(
+      "%p %s to %p --> %p.",
+      (firstArg, method, unit, expectedResult) => {
+        expect(new Duration(firstArg)[method](unit).verbose()).toBe(expectedResult);
+      }
+    );
+
+    test("Negates and takes the absolute value.", () => {
+      expect(new Duration("5m").negate().verbose()).toBe("-5 minutes");
+      expect(new Duration("-5m").abs().verbose()).toBe("5 minutes");
+    });
+
+    test("Compares durations.", () => {
+      const remaining = new Duration("6m");
+
+      expect(remaining.isLongerThan("5m")).toBeTruthy();
+      expect(remaining.isShorterThan(new Duration("1h"))).toBeTruthy();
+      expect(remaining.equals(360000)).toBeTruthy();
+      expect(remaining.compareTo("7m")).toBe(-1);
+      expect(remaining.compareTo("foo")).toBeNaN();
+    });
+
+    test("Finds the minimum, maximum and sum.", () => {
+      expect(Duration.min("1h", "5m", 3600).verbose()).toBe("3 seconds 600 milliseconds");
+      expect(Duration.max("1h", "5m", new Duration("2h")).verbose()).toBe("2 hours");
+      expect(Duration.sum("1h", "5m", "30s").verbose()).toBe("1 hour 5 minutes 30 seconds");
+      expect(() => Duration.max()).toThrow("At least one duration is required");
+    });
+
+    test("Converts to a unit.", () => {
+      expect(new Duration("90m").as("hours")).toBe(1.5);
+      expect(new Duration("1d").as("s")).toBe(86400);
+      expect(() => new Duration("1d").as("fortnights")).toThrow("Invalid unit: fortnights");
+    });
+
+    test("Keeps components for calendar dates.", () => {
+      const duration = new Duration("1 month").add("1 day");
+      expect(duration.dateFrom(new Date("2024-01-31T00:00:00Z"), { calendar: true, timeZone: "UTC" }).toISOString()).toBe("2024-03-01T00:00:00.000Z");
+    });
+
+    test("Refuses to divide by zero.", () => {
+      expect(() => new Duration("1h").divide(0)).toThrow("Cannot divide a duration by zero");
+    });
+  })
+
+  describe("strict parsing", () => {
+    test.each(cases.strict)(
+      "%p fails on %p at position %p.",
+      (pattern, token, position, suggestions) => {
+        expect(() => Duration.parse(pattern, { strict: true })).toThrow(DurationParseError);
+        expect(Duration.validate(pattern)[0]).toMatchObject({ token, position, suggestions });
+      }
+    );
+
+    test("Parses valid patterns like the constructor.", () => {
+      expect(Duration.parse("an hour and 5 minutes", { strict: true }).verbose()).toBe("1 hour 5 minutes");
+      expect(Duration.parse("1,000ms", { strict: true }).verbose()).toBe("1 second");
+      expect(Duration.parse("1h 30m", { strict: true }).equals("1h 30m")).toBeTruthy();
+      expect(Duration.parse("5 minites").isNaN()).toBeTruthy();
+    });
+
+    test("Reports every error.", () => {
+      expect(Duration.validate("5 minites 2 hrz").map((error) => error.position)).toEqual([2, 12]);
+      expect(Duration.validate("1 hour")).toEqual([]);
+    });
+  })
+
+  describe("relative()", () => {
+    // A Wednesday.
+    const now = new Date("2024-03-06T10:00:00Z");
+
+    test.each(cases.relative)(
+      "%p --> %p.",
+      (phrase, expectedDate, expectedDuration) => {
+        const { date, duration } = Duration.relative(phrase, { now, timeZone: "UTC" });
+
+        expect(date.toISOString()).toBe(expectedDate);
+        expect(duration.verbose()).toBe(expectedDuration);
+      }
+    );
+
+    test("Uses the wall clock of the time zone.", () => {
+      expect(Duration.relative("tomorrow at 5pm", { now, timeZone: "Asia/Manila" }).date.toISOString()).toBe("2024-03-07T09:00:00.000Z");
+    });
+
+    test("Reports invalid phrases.", () => {
+      expect(() => Duration.relative("tommorow", { now })).toThrow('Did you mean "tomorrow"?');
+      expect(() => Duration.relative("in 2 hrz", { now })).toThrow(expect.objectContaining({ token: "hrz", position: 5 }));
+      expect(() => Duration.relative("today at 25:00", { now })).toThrow('Invalid time of day "25:00" at position 9');
+    });
+  })
+
   describe("binary()", () => {
     test.each(cases.binary)(
       "%p --> %p.",
@@ -151,5 +422,18 @@ describe("@aezen/duration", () => {
         expect(duration.json()).toBe(expectedResult);
       }
     );
+
+    test.each(["5.7166years 5mo", "-3h 20m", "1.5terayears"])(
+      "%p round-trips through fromJSON().",
+      (firstArg) => {
+        const duration = new Duration(firstArg);
+        expect(Duration.fromJSON(duration.json()).ms.eq(duration.ms)).toBeTruthy();
+        expect(Duration.fromJSON(JSON.parse(duration.json())).verbose()).toBe(duration.verbose());
+      }
+    );
+
+    test("Returns NaN for empty json.", () => {
+      expect(Duration.fromJSON("{}").isNaN()).toBeTruthy();
+    });
   })
 })
\ No newline at end of file
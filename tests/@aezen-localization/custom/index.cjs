@@ -5,7 +5,8 @@ const colors = require("colors");
 const locale = new Localization({
   path: path.join(process.cwd(), "../../../", "tests/@aezen-localization/languages"),
   autoReload: false,
-  autoReloadInterval: undefined
+  reloadDebounce: undefined,
+  fallbackLanguage: "en"
 })
 
 async function start() {
@@ -25,6 +26,26 @@ async function start() {
     name: "Aezen"
   })}`))
   
+  console.log(chalk.magenta("getKey() — plurals"))
+  console.log(chalk.gray(`- ${locale.getKey("en", "items", { count: 0 })}`))
+  console.log(chalk.gray(`- ${locale.getKey("en", "items", { count: 3 })}`))
+  console.log(chalk.gray(`- ${locale.getKey("en", "joined", { gender: "female", date: new Date() })}`))
+  console.log(chalk.gray(`- ${locale.getKey("tl", "items", { count: 0 })}`))
+  console.log(chalk.gray(`- ${locale.getKey("tl", "items", { count: 3 })}`))
+  console.log(chalk.gray(`- ${locale.getKey("tl", "joined", { gender: "female", date: new Date() })}`))
+  
+  console.log(chalk.magenta("getKey() — fallbacks"))
+  console.log(chalk.gray(`- ${locale.getKey("tl", "untranslated")}`))
+  
+  console.log(chalk.magenta("getKey() — namespaces"))
+  console.log(chalk.gray(`- ${locale.getKey("en", "commands.ping.response", { latency: 42 })}`))
+  console.log(chalk.gray(`- ${locale.getKey("tl", "commands.ping.response", { latency: 42 })}`))
+  
+  console.log(chalk.magenta("getFixedT() — tl"))
+  const t = locale.getFixedT("tl", "commands.ping")
+  console.log(chalk.gray(`- ${t("description")}`))
+  console.log(chalk.gray(`- ${locale.has("tl", "commands.ping.description")}`))
+  
   console.log(chalk.magenta("getRaw() — en"))
   console.log(locale.getRaw("en"))
   
@@ -0,0 +1,670 @@
+import { spawnSync } from "child_process";
+import { promises } from "fs";
+import os from "os";
+import path from "path";
+import ts from "typescript";
+import Localization, { formatReport, parsePo, parseProperties, parseYaml, validateLanguage } from "../../../packages/plugins/localization/src/index";
+
+const fixtures = path.join(__dirname, "..", "languages");
+const source = path.join(__dirname, "..", "..", "..", "packages", "plugins", "localization", "src");
+const cli = path.join(source, "cli.ts");
+
+function runCli(...args: string[]) {
+  return spawnSync(process.execPath, ["--import", "tsx", cli, ...args], { encoding: "utf-8", timeout: 30_000 });
+}
+
+async function createDirectory(files: Record<string, string>): Promise<string> {
+  const directory = await promises.mkdtemp(path.join(os.tmpdir(), "aezen-localization-"));
+
+  for (const [name, content] of Object.entries(files)) {
+    await promises.mkdir(path.dirname(path.join(directory, name)), { recursive: true });
+    await promises.writeFile(path.join(directory, name), content, "utf-8");
+  }
+
+  return directory;
+}
+
+const poHeader = (pluralForms: string) => [
+  "msgid \"\"",
+  "msgstr \"\"",
+  `"Plural-Forms: ${pluralForms}\\n"`,
+  "",
+].join("\n");
+
+describe("@aezen/localization", () => {
+  describe("loaders", () => {
+    let directory: string | null = null;
+
+    afterEach(async () => {
+      if (directory) await promises.rm(directory, { recursive: true, force: true });
+      directory = null;
+    });
+
+    test("Parses YAML mappings, sequences, comments and quoted keys.", () => {
+      const yaml = [
+        "# Commands",
+        "---",
+        "commands:",
+        "  ping: Pong!  # inline comment",
+        "  \"quoted.key\": 'It''s quoted'",
+        "  'single': \"Line\\nbreak\"",
+        "  count: 3",
+        "  enabled: true",
+        "  empty: ~",
+        "  items: {count, plural, one {# item} other {# items}}",
+        "aliases:",
+        "  - p",
+        "  - name: pong",
+        "    hidden: false",
+        "",
+      ].join("\n");
+
+      expect(parseYaml(yaml)).toEqual({
+        commands: {
+          ping: "Pong!",
+          "quoted.key": "It's quoted",
+          single: "Line\nbreak",
+          count: 3,
+          enabled: true,
+          empty: null,
+          items: "{count, plural, one {# item} other {# items}}",
+        },
+        aliases: ["p", { name: "pong", hidden: false }],
+      });
+    });
+
+    test("Parses YAML block scalars.", () => {
+      const yaml = [
+        "literal: |",
+        "  First line",
+        "    indented",
+        "",
+        "folded: >",
+        "  One",
+        "  sentence",
+        "",
+        "  New paragraph",
+        "stripped: |-",
+        "  No newline",
+        "kept: |+",
+        "  Trailing",
+        "",
+        "end: done",
+      ].join("\n");
+
+      expect(parseYaml(yaml)).toEqual({
+        literal: "First line\n  indented\n",
+        folded: "One sentence\nNew paragraph\n",
+        stripped: "No newline",
+        kept: "Trailing\n\n",
+        end: "done",
+      });
+    });
+
+    test("Rejects invalid YAML.", () => {
+      expect(() => parseYaml("a:\n  b: 1\n c: 2")).toThrow("Invalid YAML indentation at line 3");
+      expect(() => parseYaml("a: \"unterminated")).toThrow("Invalid YAML string at line 1");
+    });
+
+    test("Rejects YAML syntax outside the supported subset.", () => {
+      expect(() => parseYaml("a: [1, 2]")).toThrow("Unsupported YAML syntax at line 1");
+      expect(() => parseYaml("a: {b: 1}")).toThrow("Unsupported YAML syntax at line 1");
+      expect(() => parseYaml("base: &base Hello\ncopy: *base")).toThrow("Unsupported YAML syntax at line 1");
+      expect(() => parseYaml("a: !!str 1")).toThrow("Unsupported YAML syntax at line 1");
+      expect(() => parseYaml("a: first\n  second")).toThrow("Unsupported YAML syntax at line 2");
+      expect(parseYaml("a: \"[1, 2]\"\nb: {name}")).toEqual({ a: "[1, 2]", b: "{name}" });
+    });
+
+    test("Parses .properties continuations and escapes.", () => {
+      const properties = [
+        "# Comment",
+        "! Also a comment",
+        "greeting = Hello, {name}!",
+        "commands.ping: Pong",
+        "long = first \\",
+        "       second",
+        "escaped\\ key = tab\\there \\u00e9",
+        "path = C:\\\\Users",
+        "empty",
+      ].join("\n");
+
+      expect(parseProperties(properties)).toEqual({
+        greeting: "Hello, {name}!",
+        commands: { ping: "Pong" },
+        long: "first second",
+        "escaped key": "tab\there é",
+        path: "C:\\Users",
+        empty: "",
+      });
+    });
+
+    test("Rejects conflicting .properties keys.", () => {
+      expect(() => parseProperties("a=1\na.b=2")).toThrow("Conflicting key \"a.b\". \"a\" already has a value");
+      expect(() => parseProperties("a.b=2\na=1")).toThrow("Conflicting key \"a\". It already has nested keys");
+      expect(parseProperties("a.b=1\na.c=2\na.b=3")).toEqual({ a: { b: "3", c: "2" } });
+    });
+
+    test("Parses PO multi-line strings, fuzzy entries and context.", () => {
+      const po = [
+        poHeader("nplurals=2; plural=(n != 1);"),
+        "# Translator comment",
+        "msgid \"File saved.\"",
+        "msgstr \"Na-save \"",
+        "\"ang file.\"",
+        "",
+        "#, fuzzy",
+        "msgid \"Draft\"",
+        "msgstr \"Borador\"",
+        "",
+        "msgid \"Untranslated\"",
+        "msgstr \"\"",
+        "",
+        "msgctxt \"menu\"",
+        "msgid \"Open\"",
+        "msgstr \"Buksan\"",
+      ].join("\n");
+
+      expect(parsePo(po, { path: "tl.po", language: "tl" })).toEqual({
+        "File saved.": "Na-save ang file.",
+        menu: { Open: "Buksan" },
+      });
+    });
+
+    test("Keeps every gettext plural form.", () => {
+      const po = [
+        poHeader("nplurals=2; plural=(n != 1);"),
+        "msgid \"%d item\"",
+        "msgid_plural \"%d items\"",
+        "msgstr[0] \"isang item\"",
+        "msgstr[1] \"%d na item\"",
+      ].join("\n");
+
+      expect(parsePo(po, { path: "tl.po", language: "tl" })).toEqual({
+        "%d item": "{count, plural, =1 {isang item} other {# na item}}",
+      });
+    });
+
+    test("Maps plural forms onto CLDR categories when they agree.", () => {
+      const po = [
+        poHeader("nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);"),
+        "msgid \"%d file\"",
+        "msgid_plural \"%d files\"",
+        "msgstr[0] \"%d plik\"",
+        "msgstr[1] \"%d pliki\"",
+        "msgstr[2] \"%d plików #\"",
+      ].join("\n");
+
+      expect(parsePo(po, { path: "pl.po", language: "pl" })).toEqual({
+        "%d file": "{count, plural, one {# plik} few {# pliki} other {# plików '#'}}",
+      });
+    });
+
+    test("Formats loaded PO files.", async () => {
+      directory = await createDirectory({
+        "tl.po": [
+          poHeader("nplurals=2; plural=(n != 1);"),
+          "msgid \"File saved.\"",
+          "msgstr \"Na-save ang file.\"",
+          "",
+          "msgid \"%d item\"",
+          "msgid_plural \"%d items\"",
+          "msgstr[0] \"isang item\"",
+          "msgstr[1] \"%d na item\"",
+        ].join("\n"),
+      });
+
+      const localization = new Localization({ path: directory });
+      await localization.init();
+
+      expect(localization.getKey("tl", "File saved.")).toBe("Na-save ang file.");
+      expect(localization.getKey("tl", "%d item", { count: 1 })).toBe("isang item");
+      expect(localization.getKey("tl", "%d item", { count: 3 })).toBe("3 na item");
+    });
+
+    test("Registers custom loaders.", async () => {
+      directory = await createDirectory({ "en.txt": "greeting=Hello, {name}!\nfarewell=Bye" });
+
+      const localization = new Localization({ path: directory }).registerLoader([".txt", ".text"], (content) =>
+        Object.fromEntries(content.split("\n").map((line) => line.split("=")))
+      );
+
+      await localization.init();
+
+      expect(localization.loaders.has(".text")).toBe(true);
+      expect(localization.getKey("en", "greeting", { name: "Aezen" })).toBe("Hello, Aezen!");
+    });
+  });
+
+  describe("formatting", () => {
+    let directory: string;
+    let localization: Localization;
+
+    beforeAll(async () => {
+      directory = await createDirectory({
+        "en.json": JSON.stringify({
+          items: "{count, plural, =0 {No items} one {# item} other {# items}}",
+          ranking: "{place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}",
+          guests: "{host} {guests, plural, offset:1 =0 {is alone} =1 {and {guest}} one {and # other} other {and # others}}",
+          gender: "{gender, select, male {He} female {She} other {They}} replied.",
+          nested: "{gender, select, female {{count, plural, one {She has # item} other {She has # items}}} other {They have {count} items}}",
+          number: "{value, number} | {value, number, integer} | {ratio, number, percent} | {value, number, compact}",
+          price: "Costs {price, number, USD}.",
+          date: "{date, date, long} at {date, time, short}",
+          plain: "Score: {score}, name: \"{name}\"",
+          quoted: "Run '{command}' to start, it's {time} o'clock.",
+          escaped: "'{count}' is {count, plural, other {# '#'}}",
+        }),
+        "tl.json": JSON.stringify({
+          items: "{count, plural, one {# item} other {# na item}}",
+          number: "{value, number}",
+        }),
+      });
+
+      localization = new Localization({ path: directory });
+      await localization.init();
+    });
+
+    afterAll(async () => {
+      await promises.rm(directory, { recursive: true, force: true });
+    });
+
+    test("Formats plural, selectordinal and offset arguments.", () => {
+      expect(localization.getKey("en", "items", { count: 0 })).toBe("No items");
+      expect(localization.getKey("en", "items", { count: 1 })).toBe("1 item");
+      expect(localization.getKey("en", "items", { count: 1200 })).toBe("1,200 items");
+      expect(localization.getKey("en", "ranking", { place: 22 })).toBe("22nd");
+      expect(localization.getKey("en", "ranking", { place: 13 })).toBe("13th");
+      expect(localization.getKey("en", "guests", { host: "Ana", guests: 0 })).toBe("Ana is alone");
+      expect(localization.getKey("en", "guests", { host: "Ana", guests: 1, guest: "Ben" })).toBe("Ana and Ben");
+      expect(localization.getKey("en", "guests", { host: "Ana", guests: 2 })).toBe("Ana and 1 other");
+      expect(localization.getKey("en", "guests", { host: "Ana", guests: 5 })).toBe("Ana and 4 others");
+    });
+
+    test("Formats select arguments.", () => {
+      expect(localization.getKey("en", "gender", { gender: "female" })).toBe("She replied.");
+      expect(localization.getKey("en", "gender", { gender: "robot" })).toBe("They replied.");
+      expect(localization.getKey("en", "nested", { gender: "female", count: 2 })).toBe("She has 2 items");
+      expect(localization.getKey("en", "nested", { gender: "male", count: 2 })).toBe("They have 2 items");
+    });
+
+    test("Formats numbers, currencies and dates with the language's locale.", () => {
+      const date = new Date(2024, 0, 15, 9, 30);
+
+      expect(localization.getKey("en", "number", { value: 12345.678, ratio: 0.25 })).toBe("12,345.678 | 12,346 | 25% | 12K");
+      expect(localization.getKey("en", "price", { price: 4.5 })).toBe("Costs $4.50.");
+      expect(localization.getKey("en", "date", { date })).toBe("January 15, 2024 at 9:30 AM");
+      expect(localization.getKey("tl", "number", { value: 12345.678 })).toBe("12,345.678");
+    });
+
+    test("Treats 0 and empty strings as values.", () => {
+      expect(localization.getKey("en", "plain", { score: 0, name: "" })).toBe("Score: 0, name: \"\"");
+      expect(localization.getKey("en", "plain", {})).toBe("Score: {score}, name: \"{name}\"");
+    });
+
+    test("Keeps apostrophes in messages without ICU arguments.", () => {
+      expect(localization.getKey("en", "quoted", { command: "/help", time: 3 })).toBe("Run '/help' to start, it's 3 o'clock.");
+      expect(localization.getKey("en", "escaped", { count: 2 })).toBe("{count} is 2 #");
+    });
+
+    test("Uses Tagalog plural rules.", () => {
+      expect(localization.getKey("tl", "items", { count: 1 })).toBe("1 item");
+      expect(localization.getKey("tl", "items", { count: 3 })).toBe("3 item");
+      expect(localization.getKey("tl", "items", { count: 4 })).toBe("4 na item");
+      expect(localization.getKey("tl", "items", { count: 6 })).toBe("6 na item");
+      expect(localization.getKey("tl", "items", { count: 10 })).toBe("10 item");
+    });
+  });
+
+  describe("fallbacks", () => {
+    let directory: string;
+
+    beforeAll(async () => {
+      directory = await createDirectory({
+        "en.json": JSON.stringify({ greeting: "Hello", farewell: "Bye", only: "English only", empty: "Empty", zero: 1 }),
+        "es.json": JSON.stringify({ greeting: "Hola", farewell: "Adiós" }),
+        "es-419.json": JSON.stringify({ farewell: "Chao" }),
+        "es-MX.json": JSON.stringify({ greeting: "Qué onda", empty: "", zero: 0 }),
+        "tl.json": JSON.stringify({ greeting: "Kumusta" }),
+      });
+    });
+
+    afterAll(async () => {
+      await promises.rm(directory, { recursive: true, force: true });
+    });
+
+    const create = async (options: Omit<ConstructorParameters<typeof Localization>[0], "path"> = {}) => {
+      const localization = new Localization({ path: directory, ...options });
+      await localization.init();
+      return localization;
+    };
+
+    test("Falls back through region subtags to the fallback language.", async () => {
+      const localization = await create({ fallbackLanguage: "en" });
+
+      expect(localization.getFallbackChain("es-MX")).toEqual(["es-MX", "es", "en"]);
+      expect(localization.getKey("es-MX", "greeting")).toBe("Qué onda");
+      expect(localization.getKey("es-MX", "farewell")).toBe("Adiós");
+      expect(localization.getKey("es-MX", "only")).toBe("English only");
+      expect(localization.getKey("fr", "greeting")).toBe("Hello");
+    });
+
+    test("Follows explicit fallback chains before region subtags.", async () => {
+      const localization = await create({ fallbackLanguage: ["es", "en"], fallbacks: { "es-MX": ["es-419"] } });
+
+      expect(localization.getFallbackChain("es-MX")).toEqual(["es-MX", "es-419", "es", "en"]);
+      expect(localization.getKey("es-MX", "farewell")).toBe("Chao");
+      expect(localization.getKey("tl", "farewell")).toBe("Adiós");
+    });
+
+    test("Throws without a fallback by default.", async () => {
+      const localization = await create();
+
+      expect(localization.getFallbackChain("es-MX")).toEqual(["es-MX", "es"]);
+      expect(() => localization.getKey("tl", "farewell")).toThrow("Invalid key provided. Expected a valid key. Received farewell");
+      expect(() => localization.getKey("fr", "greeting")).toThrow("Invalid language provided");
+    });
+
+    test("Applies the missing key strategies.", async () => {
+      const handler = jest.fn(() => "handled");
+
+      expect((await create({ missingKey: "key" })).getKey("tl", "farewell")).toBe("farewell");
+      expect((await create({ missingKey: "key" })).getKey("fr", "greeting")).toBe("greeting");
+      expect((await create({ missingKey: "placeholder" })).getKey("tl", "farewell")).toBe("[missing: farewell]");
+      expect((await create({ missingKey: "placeholder", missingKeyPlaceholder: "{language}:{key}" })).getKey("tl", "farewell")).toBe("tl:farewell");
+      expect((await create({ missingKey: handler })).getKey("tl", "farewell", { name: "Aezen" })).toBe("handled");
+      expect(handler).toHaveBeenCalledWith("tl", "farewell", { name: "Aezen" });
+    });
+
+    test("Emits missingKey with the language that answered.", async () => {
+      const localization = await create({ fallbackLanguage: "en", missingKey: "key" });
+      const listener = jest.fn();
+      localization.on("missingKey", listener);
+
+      localization.getKey("es-MX", "greeting");
+      localization.getKey("es-MX", "only");
+      localization.getKey("tl", "unknown");
+
+      expect(listener.mock.calls).toEqual([["es-MX", "only", "en"], ["tl", "unknown", null]]);
+    });
+
+    test("Treats empty strings and 0 as translated.", async () => {
+      const localization = await create({ fallbackLanguage: "en" });
+      const listener = jest.fn();
+      localization.on("missingKey", listener);
+
+      expect(localization.getKey("es-MX", "empty")).toBe("");
+      expect(localization.getKey("es-MX", "zero")).toBe(0);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("typed keys", () => {
+    let directory: string | null = null;
+
+    afterEach(async () => {
+      if (directory) await promises.rm(directory, { recursive: true, force: true });
+      directory = null;
+    });
+
+    test("Binds the language and prefix with getFixedT.", async () => {
+      const localization = new Localization({ path: fixtures });
+      await localization.init();
+
+      const t = localization.getFixedT("tl");
+      const deep = localization.getFixedT("en", "some.very.deep");
+      const ping = localization.getFixedT("en", "commands.ping");
+
+      expect(t("hello")).toBe("Maligayang bati!");
+      expect(t("items", { count: 0 })).toBe("Wala kang item sa iyong imbentaryo.");
+      expect(deep("path")).toBe("Wow, you found me.");
+      expect(ping("response", { latency: 42.4 })).toBe("Pong! Took 42ms.");
+      expect(() => deep("pth")).toThrow("Invalid key provided. Expected a valid key. Received some.very.deep.pth");
+    });
+
+    test("Checks only the requested language unless fallback is set.", async () => {
+      const localization = new Localization({ path: fixtures, fallbackLanguage: "en" });
+      await localization.init();
+
+      expect(localization.has("tl", "some.very.deep.path")).toBe(true);
+      expect(localization.has("tl", "untranslated")).toBe(false);
+      expect(localization.has("tl", "untranslated", { fallback: true })).toBe(true);
+      expect(localization.has("tl-PH", "hello")).toBe(false);
+      expect(localization.has("tl-PH", "hello", { fallback: true })).toBe(true);
+      expect(localization.has("tl", "some.very.deep.pth", { fallback: true })).toBe(false);
+    });
+
+    test("Rejects unknown keys and missing placeholders at compile time.", async () => {
+      const localization = new Localization({ path: fixtures });
+      await localization.init();
+
+      directory = await promises.mkdtemp(path.join(os.tmpdir(), "aezen-localization-"));
+      await promises.writeFile(path.join(directory, "translations.d.ts"), localization.generateTypes());
+      await promises.writeFile(path.join(directory, "usage.ts"), [
+        "import Localization from \"@aezen/localization\";",
+        "declare const locale: Localization;",
+        "locale.getKey(\"en\", \"some.very.deep.path\");",
+        "locale.getKey(\"en\", \"items\", { count: 2 });",
+        "locale.getFixedT(\"en\", \"some.very\")(\"deep.path\");",
+        "// @ts-expect-error",
+        "locale.getKey(\"en\", \"some.very.deep.pth\");",
+        "// @ts-expect-error",
+        "locale.getKey(\"en\", \"replace\");",
+        "// @ts-expect-error",
+        "locale.getKey(\"en\", \"items\", { count: \"2\" });",
+        "// @ts-expect-error",
+        "locale.getFixedT(\"en\", \"some.very\")(\"deep.pth\");",
+      ].join("\n"));
+
+      const program = ts.createProgram([path.join(directory, "translations.d.ts"), path.join(directory, "usage.ts")], {
+        strict: true,
+        noEmit: true,
+        skipLibCheck: true,
+        target: ts.ScriptTarget.ESNext,
+        module: ts.ModuleKind.ESNext,
+        moduleResolution: ts.ModuleResolutionKind.Node10,
+        esModuleInterop: true,
+        paths: { "@aezen/localization": [path.join(source, "index.ts")] },
+      });
+      const diagnostics = ts.getPreEmitDiagnostics(program).map((diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"));
+
+      expect(diagnostics).toEqual([]);
+    }, 60_000);
+  });
+
+  describe("validation", () => {
+    test("Reports coverage, missing keys and placeholder mismatches.", async () => {
+      const localization = new Localization({ path: fixtures });
+      await localization.init();
+
+      const report = localization.validate();
+
+      expect(report).toMatchObject({ reference: "en", threshold: 100, totalKeys: 8, passed: false });
+      expect(report.languages).toEqual([{
+        language: "tl",
+        coverage: 87.5,
+        passed: false,
+        missing: ["untranslated"],
+        extra: [],
+        typeMismatches: [],
+        placeholderMismatches: [{ key: "joined", missing: ["gender"], extra: [] }],
+        syntaxErrors: [],
+      }]);
+    });
+
+    test("Fails on mismatches even above the threshold.", async () => {
+      const localization = new Localization({ path: fixtures });
+      await localization.init();
+
+      expect(localization.validate({ threshold: 80 }).passed).toBe(false);
+      expect(() => localization.validate({ reference: "fr" })).toThrow("Invalid reference language provided");
+    });
+
+    test("Compares nested keys, types and message syntax.", () => {
+      const reference = {
+        greeting: "Hello, {name}!",
+        commands: { ping: "Pong", help: { title: "Help", footer: "Page {page}" } },
+        list: "{count, plural, one {# item} other {# items}}",
+      };
+      const target = {
+        greeting: "Kumusta, {user}!",
+        commands: { ping: ["Pong"], help: { title: "Tulong" } },
+        list: "{count, plural, one {# item}",
+        bonus: { key: "Extra" },
+      };
+
+      const report = validateLanguage(reference, target, "tl", 50);
+
+      expect(report.coverage).toBe(60);
+      expect(report.passed).toBe(false);
+      expect(report.missing).toEqual(["commands.help.footer"]);
+      expect(report.extra).toEqual(["bonus.key"]);
+      expect(report.typeMismatches).toEqual([{ key: "commands.ping", expected: "string", received: "array" }]);
+      expect(report.placeholderMismatches).toEqual([{ key: "greeting", missing: ["name"], extra: ["user"] }]);
+      expect(report.syntaxErrors).toEqual([{ key: "list", message: expect.stringContaining("Invalid message format") }]);
+    });
+
+    test("Rounds coverage down to two decimals.", () => {
+      const report = validateLanguage({ a: "A", b: "B", c: "C" }, { a: "A", b: "B" }, "tl", 66);
+
+      expect(report.coverage).toBe(66.66);
+      expect(report.passed).toBe(true);
+    });
+
+    test("Formats reports as text and JSON.", async () => {
+      const localization = new Localization({ path: fixtures });
+      await localization.init();
+
+      const report = localization.validate();
+
+      expect(JSON.parse(formatReport(report, "json"))).toEqual(report);
+      expect(formatReport(report)).toContain("tl — 87.5% coverage");
+      expect(formatReport(report)).toContain("joined missing {gender}");
+    });
+  });
+
+  describe("cli", () => {
+    let directory: string | null = null;
+
+    afterEach(async () => {
+      if (directory) await promises.rm(directory, { recursive: true, force: true });
+      directory = null;
+    });
+
+    test("Exits with 1 when validation fails.", () => {
+      const result = runCli("validate", fixtures, "--format", "json");
+
+      expect(result.status).toBe(1);
+      expect(JSON.parse(result.stdout).languages[0]).toMatchObject({ language: "tl", coverage: 87.5, missing: ["untranslated"] });
+    });
+
+    test("Exits with 0 when validation passes.", async () => {
+      directory = await createDirectory({ "en.json": "{\"hello\": \"Hello {name}\"}", "tl.json": "{\"hello\": \"Kumusta {name}\"}" });
+      const result = runCli("validate", directory);
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain("tl — 100% coverage");
+    });
+
+    test("Exits with 2 on usage errors.", () => {
+      expect(runCli().status).toBe(2);
+      expect(runCli("validate", fixtures, "--threshold", "150").stderr).toContain("Invalid threshold provided");
+      expect(runCli("validate", fixtures, "--format", "xml").status).toBe(2);
+      expect(runCli("validate", fixtures, "--reference", "fr").status).toBe(2);
+    });
+
+    test("Generates key types.", () => {
+      const result = runCli("types", fixtures);
+
+      expect(result.status).toBe(0);
+      expect(result.stdout).toContain("interface TranslationKeys");
+      expect(result.stdout).toContain("\"replace\": { \"name\": PlaceholderValue };");
+    });
+  });
+
+  describe("reload", () => {
+    let directory: string;
+
+    beforeEach(async () => {
+      directory = await createDirectory({
+        "en.json": JSON.stringify({ hello: "Hello", bye: "Bye" }),
+        "en/commands.json": JSON.stringify({ ping: "Pong" }),
+      });
+    });
+
+    afterEach(async () => {
+      await promises.rm(directory, { recursive: true, force: true });
+    });
+
+    test("Emits the changed languages and keys.", async () => {
+      const localization = new Localization({ path: directory });
+      const listener = jest.fn();
+      await localization.init();
+      localization.on("reload", listener);
+
+      await promises.writeFile(path.join(directory, "en.json"), JSON.stringify({ hello: "Hi", added: "New" }));
+      await promises.writeFile(path.join(directory, "tl.json"), JSON.stringify({ hello: "Kumusta" }));
+
+      const event = await localization.reload();
+
+      expect(event).toEqual({ languages: ["en", "tl"], keys: { en: ["hello", "bye", "added"], tl: ["hello"] } });
+      expect(listener).toHaveBeenCalledWith(event);
+      expect(localization.getKey("en", "commands.ping")).toBe("Pong");
+    });
+
+    test("Does not emit when nothing changed.", async () => {
+      const localization = new Localization({ path: directory });
+      const listener = jest.fn();
+      await localization.init();
+      localization.on("reload", listener);
+
+      expect(await localization.reload()).toEqual({ languages: [], keys: {} });
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test("Keeps the last good version of a file that fails to parse.", async () => {
+      const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+      const localization = new Localization({ path: directory });
+      await localization.init();
+
+      await promises.writeFile(path.join(directory, "en.json"), "{ \"hello\": ");
+      await promises.writeFile(path.join(directory, "en", "commands.json"), JSON.stringify({ ping: "Pong!" }));
+
+      const event = await localization.reload();
+
+      expect(event).toEqual({ languages: ["en"], keys: { en: ["commands.ping"] } });
+      expect(localization.getKey("en", "hello")).toBe("Hello");
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining("Failed to load"));
+      consoleError.mockRestore();
+    });
+
+    test("Reloads after file changes settle.", async () => {
+      const localization = new Localization({ path: directory, autoReload: true, reloadDebounce: 50 });
+      await localization.init();
+
+      const reloaded = new Promise((resolve) => localization.once("reload", resolve));
+      await promises.writeFile(path.join(directory, "en.json"), JSON.stringify({ hello: "Hi", bye: "Bye" }));
+
+      expect(await reloaded).toEqual({ languages: ["en"], keys: { en: ["hello"] } });
+      expect(localization.getKey("en", "hello")).toBe("Hi");
+      localization.stopAutoReload();
+    });
+
+    test("Ignores the deprecated autoReloadInterval option.", async () => {
+      const emitWarning = jest.spyOn(process, "emitWarning").mockImplementation(() => {});
+      const localization = new Localization({ path: directory, autoReload: true, autoReloadInterval: 60_000, reloadDebounce: 50 });
+      await localization.init();
+
+      expect(emitWarning).toHaveBeenCalledWith(expect.stringContaining("autoReloadInterval option is ignored"), "DeprecationWarning");
+      emitWarning.mockRestore();
+
+      const reloaded = new Promise((resolve) => localization.once("reload", resolve));
+      await promises.writeFile(path.join(directory, "en.json"), JSON.stringify({ hello: "Hi", bye: "Bye" }));
+
+      expect(localization.autoReloadInterval).not.toBeNull();
+      expect(await reloaded).toEqual({ languages: ["en"], keys: { en: ["hello"] } });
+      expect(localization.autoReloadInterval).toBeNull();
+      localization.stopAutoReload();
+    });
+  });
+});
+
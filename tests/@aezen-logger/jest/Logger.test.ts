@@ -0,0 +1,482 @@
+import { promises } from "fs";
+import os from "os";
+import path from "path";
+import { Writable } from "stream";
+import chalk from "chalk";
+import Logger, { FileTransport, RedactPatterns, RotatingFileTransport, StreamTransport, type LoggerOptions } from "../../../packages/utilities/logger/src/index";
+
+function capture(options: LoggerOptions = {}, transport: { level?: string; colors?: boolean; isTTY?: boolean } = {}) {
+  const lines: string[] = [];
+  const stream = Object.assign(new Writable({
+    write(chunk, _, callback) {
+      if (chunk.length > 0) lines.push(chunk.toString().replace(/\n$/, ""));
+      callback();
+    }
+  }), { isTTY: transport.isTTY });
+
+  const logger = new Logger({
+    console: false,
+    transports: [new StreamTransport({ stream, level: transport.level, colors: transport.colors })],
+    ...options
+  });
+
+  return { logger, lines };
+}
+
+const entry = (date: string) => ({ level: "info", date: new Date(date), line: "" });
+
+describe("@aezen/logger", () => {
+  describe("transports", () => {
+    let directory: string;
+    const level = chalk.level;
+
+    beforeEach(async () => {
+      directory = await promises.mkdtemp(path.join(os.tmpdir(), "aezen-logger-"));
+      chalk.level = 1;
+    });
+
+    afterEach(async () => {
+      chalk.level = level;
+      await promises.rm(directory, { recursive: true, force: true });
+    });
+
+    test("Strips colors for non-TTY streams.", () => {
+      const { logger, lines } = capture();
+      logger.info("Hello");
+
+      expect(lines).toEqual(["INFO  Hello"]);
+    });
+
+    test("Keeps colors for TTY streams or when asked to.", () => {
+      const tty = capture({}, { isTTY: true });
+      const forced = capture({}, { colors: true });
+
+      tty.logger.info("Hello");
+      forced.logger.info("Hello");
+
+      expect(tty.lines[0]).toContain("\u001b[");
+      expect(forced.lines[0]).toContain("\u001b[");
+    });
+
+    test("Filters by the transport level.", () => {
+      const { logger, lines } = capture({}, { level: "warn" });
+
+      logger.info("Skipped");
+      logger.warn("Written");
+
+      expect(lines).toEqual(["WARN  Written"]);
+    });
+
+    test("Appends to a file without colors.", async () => {
+      const file = path.join(directory, "nested", "app.log");
+      const transport = new FileTransport({ path: file });
+      const logger = new Logger({ console: false, transports: [transport] });
+
+      logger.info("First");
+      logger.warn("Second");
+      await logger.close();
+
+      expect(await promises.readFile(file, "utf-8")).toBe("INFO  First\nWARN  Second\n");
+    });
+
+    test("Rotates by size and prunes old files.", async () => {
+      const file = path.join(directory, "app.log");
+      const transport = new RotatingFileTransport({ path: file, maxSize: 10, maxFiles: 2 });
+
+      for (const line of ["line 1", "line 2", "line 3", "line 4"]) {
+        transport.write(line, entry(new Date().toISOString()));
+      }
+
+      await transport.close();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect((await promises.readdir(directory)).sort()).toEqual(["app.1.log", "app.2.log", "app.log"]);
+      expect(await promises.readFile(file, "utf-8")).toBe("line 4\n");
+      expect(await promises.readFile(path.join(directory, "app.1.log"), "utf-8")).toBe("line 3\n");
+      expect(await promises.readFile(path.join(directory, "app.2.log"), "utf-8")).toBe("line 2\n");
+    });
+
+    test("Rotates when the day changes.", async () => {
+      const file = path.join(directory, "app.log");
+      const transport = new RotatingFileTransport({ path: file, frequency: "daily", maxFiles: 3 });
+
+      transport.write("monday 1", entry("2024-01-01T10:00:00Z"));
+      transport.write("monday 2", entry("2024-01-01T23:00:00Z"));
+      transport.write("tuesday", entry("2024-01-02T01:00:00Z"));
+
+      await transport.close();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(await promises.readFile(file, "utf-8")).toBe("tuesday\n");
+      expect(await promises.readFile(path.join(directory, "app.1.log"), "utf-8")).toBe("monday 1\nmonday 2\n");
+    });
+  });
+
+  describe("JSON output", () => {
+    test("Writes one record per line.", () => {
+      const { logger, lines } = capture({ format: "json", context: { shard: 1 } });
+      const error = new TypeError("Bad input");
+
+      logger.info("User joined", { userId: "42" }, 3);
+      logger.error("Command failed", error);
+
+      const [info, failure] = lines.map((line) => JSON.parse(line));
+
+      expect(lines).toHaveLength(2);
+      expect(info).toEqual({ level: "info", timestamp: expect.any(String), message: "User joined 3", shard: 1, userId: "42" });
+      expect(new Date(info.timestamp).toISOString()).toBe(info.timestamp);
+      expect(failure).toMatchObject({ level: "error", message: "Command failed", error: { name: "TypeError", message: "Bad input" } });
+    });
+
+    test("Keeps reserved fields over metadata.", () => {
+      const { logger, lines } = capture({ format: "json" });
+      logger.warn("Real message", { message: "Fake message", level: "debug" });
+
+      expect(JSON.parse(lines[0])).toMatchObject({ level: "warn", message: "Real message" });
+    });
+
+    test("Handles bigints and circular references.", () => {
+      const { logger, lines } = capture({ format: "json" });
+      const circular: Record<string, unknown> = { id: 10n };
+      circular.self = circular;
+
+      logger.log("Cycle", { data: circular });
+
+      expect(JSON.parse(lines[0]).data).toEqual({ id: "10", self: "[Circular]" });
+    });
+  });
+
+  describe("child()", () => {
+    test("Merges context and nests prefixes.", () => {
+      const { logger, lines } = capture({ format: "json", prefix: "Bot", context: { shard: 1 } });
+      const child = logger.child({ guildId: "7" }, "Music").child({ shard: 2 }, "Queue");
+
+      child.info("Playing");
+
+      expect(JSON.parse(lines[0])).toMatchObject({ prefix: "Bot > Music > Queue", shard: 2, guildId: "7", message: "Playing" });
+    });
+
+    test("Shares the parent's transports and prints the prefix.", () => {
+      const { logger, lines } = capture();
+
+      logger.child({}, "Music").info("Playing");
+
+      expect(lines).toEqual(["[ Music ] INFO  Playing"]);
+    });
+
+    test("Keeps its own transports without changing the parent's.", async () => {
+      const { logger, lines } = capture();
+      const { logger: other, lines: childLines } = capture();
+      const [transport] = other.transports;
+      const close = jest.fn();
+      logger.transports[0].close = close;
+      const child = logger.child({}, "Music");
+
+      child.addTransport(transport);
+      child.info("Playing");
+      logger.info("Ready");
+
+      expect(logger.transports).toHaveLength(1);
+      expect(lines).toEqual(["[ Music ] INFO  Playing", "INFO  Ready"]);
+      expect(childLines).toEqual(["[ Music ] INFO  Playing"]);
+
+      child.removeTransport(logger.transports[0]);
+      await child.close();
+      child.info("Stopped");
+
+      expect(close).not.toHaveBeenCalled();
+      expect(lines).toHaveLength(3);
+    });
+  });
+
+  describe("levels", () => {
+    test("Filters by severity.", () => {
+      const { logger, lines } = capture({ level: "warn" });
+
+      logger.debug("Skipped");
+      logger.info("Skipped");
+      logger.warn("Written");
+      logger.error("Written");
+
+      expect(lines).toEqual(["WARN  Written", "ERROR  Written"]);
+    });
+
+    test("Changes the level at runtime and children follow it.", () => {
+      const { logger, lines } = capture();
+      const child = logger.child();
+
+      logger.setLevel("error");
+      child.info("Skipped");
+      child.error("Written");
+
+      expect(child.getLevel()).toBe("error");
+      expect(child.isLevelEnabled("warn")).toBe(false);
+      expect(lines).toEqual(["ERROR  Written"]);
+      expect(() => logger.setLevel("verbose")).toThrow("Level 'verbose' does not exist");
+    });
+
+    test("Adds custom levels.", () => {
+      Logger.addLevel("audit", { severity: 35, color: "#ff8800" });
+
+      const { logger, lines } = capture({ level: "info" });
+      (logger as Logger & { audit(...messages: any): void }).audit("Role changed");
+      logger.logAt("audit", "Channel deleted");
+
+      logger.setLevel("warn");
+      logger.logAt("audit", "Skipped");
+
+      expect(lines).toEqual(["AUDIT  Role changed", "AUDIT  Channel deleted"]);
+      expect(() => Logger.addLevel("audit", { severity: 1 })).toThrow("Level 'audit' already exists");
+      expect(() => Logger.addLevel("time", { severity: 1 })).toThrow("Level 'time' conflicts with an existing Logger method");
+      expect(() => logger.logAt("verbose", "Skipped")).toThrow("Level 'verbose' does not exist");
+    });
+  });
+
+  describe("timers, counters, groups and tables", () => {
+    test("Measures elapsed time.", () => {
+      const { logger, lines } = capture();
+
+      logger.time("query");
+      const elapsed = logger.timeEnd("query");
+
+      expect(elapsed).toEqual(expect.any(String));
+      expect(lines).toEqual([`LOG  query: ${elapsed}`]);
+      expect(logger.timeEnd("query")).toBeNull();
+      expect(lines[1]).toBe("WARN  Timer 'query' does not exist");
+    });
+
+    test("Warns about duplicate timers.", () => {
+      const { logger, lines } = capture();
+
+      logger.time();
+      logger.time();
+
+      expect(lines).toEqual(["WARN  Timer 'default' already exists"]);
+    });
+
+    test("Counts and resets.", () => {
+      const { logger, lines } = capture();
+
+      logger.count("clicks");
+      logger.count("clicks");
+      logger.countReset("clicks");
+
+      expect(logger.count("clicks")).toBe(1);
+      expect(lines).toEqual(["LOG  clicks: 1", "LOG  clicks: 2", "LOG  clicks: 1"]);
+    });
+
+    test("Indents grouped output.", () => {
+      const { logger, lines } = capture();
+
+      logger.group("Startup");
+      logger.info("Loading");
+      logger.group();
+      logger.info("Nested");
+      logger.groupEnd();
+      logger.groupEnd();
+      logger.info("Done");
+
+      expect(lines).toEqual(["LOG  Startup", "  INFO  Loading", "    INFO  Nested", "INFO  Done"]);
+    });
+
+    test("Records the group in JSON output.", () => {
+      const { logger, lines } = capture({ format: "json" });
+
+      logger.group("Startup");
+      logger.group("Commands");
+      logger.info("Loaded");
+
+      expect(JSON.parse(lines[2])).toMatchObject({ message: "Loaded", group: "Startup > Commands" });
+    });
+
+    test("Renders tables.", () => {
+      const { logger, lines } = capture();
+
+      logger.table([{ name: "ping", uses: 3 }, { name: "help" }, "raw"]);
+
+      expect(lines[0].split("\n")).toEqual([
+        "LOG",
+        "┌─────────┬──────┬──────┬────────┐",
+        "│ (index) │ name │ uses │ Values │",
+        "├─────────┼──────┼──────┼────────┤",
+        "│ 0       │ ping │ 3    │        │",
+        "│ 1       │ help │      │        │",
+        "│ 2       │      │      │ raw    │",
+        "└─────────┴──────┴──────┴────────┘",
+      ]);
+    });
+  });
+
+  describe("timestamps", () => {
+    test.each([
+      [{ timestamp: "iso", timeZone: "Asia/Manila" }, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}\+08:00$/],
+      [{ timeZone: "America/New_York" }, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}-0[45]:00$/],
+      [{ timestamp: "epoch" }, /^\d{13}$/],
+      [{ timestamp: "elapsed" }, /^\+\d+\.\d{3}s$/],
+      [{ timestamp: () => "custom" }, /^custom$/],
+      [{ timestamp: true }, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/],
+    ] as [LoggerOptions, RegExp][])(
+      "Formats JSON timestamps with %p.",
+      (options, expected) => {
+        const { logger, lines } = capture({ format: "json", ...options });
+        logger.info("Hello");
+
+        expect(JSON.parse(lines[0]).timestamp).toMatch(expected);
+      }
+    );
+
+    test("Prints the configured format.", () => {
+      const { logger, lines } = capture({ timestamp: (date) => String(date.getUTCFullYear()) });
+      logger.info("Hello");
+
+      expect(lines).toEqual([`[${new Date().getUTCFullYear()}] INFO  Hello`]);
+    });
+
+    test("Rejects unknown time zones.", () => {
+      expect(() => new Logger({ console: false, timeZone: "Mars/Olympus" })).toThrow(RangeError);
+    });
+  });
+
+  describe("redaction", () => {
+    const token = `${"A".repeat(24)}.${"B".repeat(6)}.${"C".repeat(27)}`;
+
+    test("Masks paths in logged objects.", () => {
+      const { logger, lines } = capture({ redact: { paths: ["password", "auth.token"] } });
+      logger.info({ user: "aezen", password: "hunter2", auth: { token: "secret", scope: "bot" } });
+
+      expect(lines[0]).not.toContain("hunter2");
+      expect(lines[0]).not.toContain("secret");
+      expect(lines[0]).toContain("password: '[REDACTED]'");
+      expect(lines[0]).toContain("scope: 'bot'");
+    });
+
+    test("Masks wildcard paths.", () => {
+      const { logger, lines } = capture({ format: "json", redact: { paths: ["users.*.token"], censor: "***" } });
+      logger.info("Users", { users: [{ id: 1, token: "a" }, { id: 2, token: "b" }] });
+
+      expect(JSON.parse(lines[0]).users).toEqual([{ id: 1, token: "***" }, { id: 2, token: "***" }]);
+    });
+
+    test("Masks patterns in messages.", () => {
+      const { logger, lines } = capture({ redact: { patterns: [RedactPatterns.discordToken] } });
+      logger.warn(`Logging in with ${token}`);
+
+      expect(lines).toEqual(["WARN  Logging in with [REDACTED]"]);
+    });
+
+    test("Masks patterns in JSON records.", () => {
+      const { logger, lines } = capture({ format: "json", redact: { patterns: [RedactPatterns.discordWebhook] } });
+      logger.info("Sending", { url: "https://discord.com/api/webhooks/123/abc-DEF" });
+
+      expect(JSON.parse(lines[0]).url).toBe("[REDACTED]");
+    });
+
+    test("Masks error properties.", () => {
+      const { logger, lines } = capture({ redact: { paths: ["token"], patterns: [/Bearer \w+/] } });
+      const error = Object.assign(new Error("Request failed with Bearer abc123"), { token: "abc123", status: 401 });
+
+      logger.error(error);
+
+      expect(lines[0]).not.toContain("abc123");
+      expect(lines[0]).toContain("token: '[REDACTED]'");
+      expect(lines[0]).toContain("status: 401");
+    });
+  });
+
+  describe("errors", () => {
+    test("Renders causes.", () => {
+      const { logger, lines } = capture();
+      const error = new Error("Command failed", { cause: new TypeError("Missing permission", { cause: "403" }) });
+
+      logger.error(error);
+
+      const output = lines[0].split("\n");
+      expect(output[0]).toBe("ERROR  Command failed");
+      expect(output).toContain("  Caused by:");
+      expect(output).toContain("    TypeError: Missing permission");
+      expect(output).toContain("      Caused by: '403'");
+    });
+
+    test("Renders aggregate errors.", () => {
+      const { logger, lines } = capture();
+
+      logger.error("Shards failed", new AggregateError([new RangeError("Shard 0"), "timeout"], "2 shards failed"));
+
+      const output = lines[0].split("\n");
+      expect(output[0]).toBe("ERROR  Shards failed");
+      expect(output).toContain("AggregateError: 2 shards failed");
+      expect(output).toContain("  [1/2]");
+      expect(output).toContain("    RangeError: Shard 0");
+      expect(output).toContain("  [2/2] 'timeout'");
+    });
+
+    test("Stops at circular causes.", () => {
+      const { logger, lines } = capture();
+      const error = new Error("Loop");
+      error.cause = error;
+
+      logger.error(error);
+
+      expect(lines[0]).toContain("Caused by:\n    [Circular]");
+    });
+
+    test("Serializes causes and aggregates in JSON output.", () => {
+      const { logger, lines } = capture({ format: "json" });
+
+      logger.error(new AggregateError([new Error("First")], "Failed", { cause: new Error("Root") }));
+
+      expect(JSON.parse(lines[0])).toMatchObject({
+        message: "Failed",
+        error: { name: "AggregateError", errors: [{ name: "Error", message: "First" }], cause: { message: "Root" } },
+      });
+    });
+  });
+
+  describe("fatal()", () => {
+    test("Runs the hook, flushes and exits.", async () => {
+      const exit = jest.spyOn(process, "exit").mockImplementation(() => undefined as never);
+      const order: string[] = [];
+      const { logger, lines } = capture({ exitOnFatal: 3, onFatal: () => { order.push("hook"); } });
+      logger.addTransport({ write: () => {}, flush: () => { order.push("flush"); } });
+
+      logger.fatal("Shutting down");
+      expect(exit).not.toHaveBeenCalled();
+
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(lines).toEqual(["FATAL  Shutting down"]);
+      expect(order).toEqual(["hook", "flush"]);
+      expect(exit).toHaveBeenCalledWith(3);
+      exit.mockRestore();
+    });
+
+    test("Exits even when the hook fails.", async () => {
+      const exit = jest.spyOn(process, "exit").mockImplementation(() => undefined as never);
+      const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+      const flush = jest.fn();
+      const { logger } = capture({ exitOnFatal: true, onFatal: () => Promise.reject(new Error("Hook failed")) });
+      logger.addTransport({ write: () => {}, flush });
+
+      logger.fatal("Shutting down");
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(consoleError).toHaveBeenCalledWith("Error in fatal hook: Hook failed");
+      expect(flush).toHaveBeenCalled();
+      expect(exit).toHaveBeenCalledWith(1);
+      exit.mockRestore();
+      consoleError.mockRestore();
+    });
+
+    test("Does not exit by default.", async () => {
+      const exit = jest.spyOn(process, "exit").mockImplementation(() => undefined as never);
+      const { logger } = capture();
+
+      logger.fatal("Still running");
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(exit).not.toHaveBeenCalled();
+      exit.mockRestore();
+    });
+  });
+});
+
@@ -1,4 +1,8 @@
-import { Store, NamedStores } from "../../packages/utilities/stores/src/index";
+import { promises } from "fs";
+import os from "os";
+import path from "path";
+import { MessageChannel, type MessagePort } from "worker_threads";
+import { Store, NamedStores, JsonFileAdapter, MemoryAdapter, IpcChannel, StoreSync, type SyncMessage } from "../../packages/utilities/stores/src/index";
 
 describe("Store", () => {
   let store: Store<number>;
@@ -28,7 +32,7 @@ describe("Store", () => {
     const listener = jest.fn();
     store.addListener("key1", listener);
     store.set("key1", 42);
-    expect(listener).toHaveBeenCalledWith(42, undefined);
+    expect(listener).toHaveBeenCalledWith(42, undefined, "set", "key1");
   });
 
   test("remove listener", () => {
@@ -111,7 +115,7 @@ describe("NamedStores", () => {
       const listener = jest.fn();
       store.addListener("key1", listener);
       store.set("key1", 42);
-      expect(listener).toHaveBeenCalledWith(42, undefined);
+      expect(listener).toHaveBeenCalledWith(42, undefined, "set", "key1");
     });
 
     test("remove listener in named store", () => {
@@ -132,4 +136,683 @@ describe("NamedStores", () => {
       expect(() => store.delete("")).toThrowError("Key must be non-empty");
     });
   });
-});
\ No newline at end of file
+});
+describe("Collection", () => {
+  let store: Store<number>;
+
+  beforeEach(() => {
+    store = new Store<number>();
+    store.setMany({ key1: 1, key2: 2, key3: 3 });
+  });
+
+  test("check keys and size", () => {
+    expect(store.has("key1")).toBe(true);
+    expect(store.has("key4")).toBe(false);
+    expect(store.size).toBe(3);
+  });
+
+  test("iterate over entries", () => {
+    expect([...store]).toEqual([["key1", 1], ["key2", 2], ["key3", 3]]);
+    expect([...store.keys()]).toEqual(["key1", "key2", "key3"]);
+    expect([...store.values()]).toEqual([1, 2, 3]);
+  });
+
+  test("filter, find and map entries", () => {
+    expect(store.filter((value) => value > 1)).toEqual(new Map([["key2", 2], ["key3", 3]]));
+    expect(store.find((_, key) => key === "key2")).toBe(2);
+    expect(store.find((value) => value > 5)).toBeUndefined();
+    expect(store.map((value, key) => `${key}=${value}`)).toEqual(["key1=1", "key2=2", "key3=3"]);
+  });
+
+  test("get and delete many keys", () => {
+    expect(store.getMany(["key1", "key3", "key4"])).toEqual(new Map([["key1", 1], ["key3", 3]]));
+
+    store.deleteMany(["key1", "key2"]);
+    expect([...store.keys()]).toEqual(["key3"]);
+  });
+
+  test("emit a single batched notification", () => {
+    const listener = jest.fn();
+    store.addBatchListener(listener);
+
+    store.setMany([["key4", 4], ["key5", 5]]);
+    store.deleteMany(["key4", "key5"]);
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenNthCalledWith(1, [
+      { key: "key4", newValue: 4, oldValue: undefined, reason: "set" },
+      { key: "key5", newValue: 5, oldValue: undefined, reason: "set" }
+    ]);
+  });
+
+  test("notify every removed key on clear", () => {
+    const listener = jest.fn();
+    const keyListener = jest.fn();
+    store.addBatchListener(listener);
+    store.addListener("key2", keyListener);
+
+    store.clear();
+
+    expect(store.size).toBe(0);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].map((change: { key: string }) => change.key)).toEqual(["key1", "key2", "key3"]);
+    expect(keyListener).toHaveBeenCalledWith(undefined, 2, "deleted", "key2");
+  });
+
+  test("update values", () => {
+    expect(store.update("key1", (value) => (value ?? 0) + 1)).toBe(2);
+    expect(store.update("key4", (value) => (value ?? 0) + 1)).toBe(1);
+    expect(store.get("key1")).toBe(2);
+  });
+
+  test("prevent empty keys in bulk operations", () => {
+    expect(() => store.setMany({ "": 1 })).toThrowError("Key must be non-empty");
+    expect(() => store.deleteMany([""])).toThrowError("Key must be non-empty");
+    expect(() => store.has("")).toThrowError("Key must be non-empty");
+  });
+});
+
+describe("Listeners", () => {
+  let store: Store<string>;
+
+  beforeEach(() => {
+    store = new Store<string>();
+  });
+
+  test("subscribe to every key", () => {
+    const listener = jest.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    store.set("key1", "a");
+    store.set("key2", "b");
+    unsubscribe();
+    store.set("key3", "c");
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith("b", undefined, "set", "key2");
+  });
+
+  test("match glob key patterns", () => {
+    const listener = jest.fn();
+    store.addListener("guild:*:prefix", listener);
+
+    store.set("guild:1:prefix", "!");
+    store.set("guild:1:locale", "en");
+    store.set("guild:2:prefix", "?");
+
+    expect(listener.mock.calls.map((call) => call[3])).toEqual(["guild:1:prefix", "guild:2:prefix"]);
+  });
+
+  test("remove once listeners after the first call", () => {
+    const listener = jest.fn();
+    store.once("key1", listener);
+
+    store.set("key1", "a");
+    store.set("key1", "b");
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test("keep once per registration", () => {
+    const listener = jest.fn();
+    store.addListener("key1", listener);
+    store.once("key2", listener);
+
+    store.set("key1", "a");
+    store.set("key1", "b");
+    store.set("key2", "a");
+    store.set("key2", "b");
+
+    expect(listener.mock.calls.map((call) => call[3])).toEqual(["key1", "key1", "key2"]);
+  });
+
+  test("unsubscribe with the returned handle", () => {
+    const listener = jest.fn();
+    const unsubscribe = store.addListener("key1", listener);
+
+    unsubscribe();
+    store.set("key1", "a");
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test("isolate listener errors", () => {
+    const errorListener = jest.fn();
+    const listener = jest.fn();
+    const error = new Error("Listener failed");
+    store.onError(errorListener);
+    store.addListener("key1", () => { throw error; });
+    store.addListener("key1", listener);
+
+    expect(() => store.set("key1", "a")).not.toThrow();
+    expect(store.get("key1")).toBe("a");
+    expect(listener).toHaveBeenCalled();
+    expect(errorListener).toHaveBeenCalledWith(error, "key1");
+  });
+
+  test("await async listeners", async () => {
+    const errorListener = jest.fn();
+    const calls: string[] = [];
+    store.onError(errorListener);
+    store.addListener("key1", async (value) => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      calls.push(value);
+    });
+    store.subscribe(async () => {
+      throw new Error("Async listener failed");
+    });
+
+    await store.setAsync("key1", "a");
+    expect(calls).toEqual(["a"]);
+    expect(errorListener).toHaveBeenCalledTimes(1);
+
+    await store.deleteAsync("key1");
+    expect(calls).toEqual(["a", undefined]);
+  });
+});
+
+describe("Transactions and history", () => {
+  let store: Store<number>;
+
+  beforeEach(() => {
+    store = new Store<number>({ history: 2 });
+    store.setMany({ key1: 1, key2: 2 });
+  });
+
+  test("apply staged changes on commit", () => {
+    const listener = jest.fn();
+    store.addBatchListener(listener);
+
+    const result = store.transaction((transaction) => {
+      transaction.set("key1", 10);
+      transaction.delete("key2");
+      expect(transaction.get("key1")).toBe(10);
+      expect(transaction.has("key2")).toBe(false);
+      expect(store.get("key1")).toBe(1);
+      expect(listener).not.toHaveBeenCalled();
+      return "done";
+    });
+
+    expect(result).toBe("done");
+    expect([...store]).toEqual([["key1", 10]]);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test("discard staged changes on throw", async () => {
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    expect(() => store.transaction((transaction) => {
+      transaction.set("key1", 10);
+      throw new Error("Command failed");
+    })).toThrowError("Command failed");
+
+    await expect(store.transaction(async (transaction) => {
+      transaction.delete("key1");
+      await Promise.resolve();
+      throw new Error("Command failed");
+    })).rejects.toThrowError("Command failed");
+
+    expect(store.get("key1")).toBe(1);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test("commit async transactions after resolving", async () => {
+    await store.transaction(async (transaction) => {
+      await Promise.resolve();
+      transaction.set("key3", 3);
+    });
+
+    expect(store.get("key3")).toBe(3);
+  });
+
+  test("reject use after completion", () => {
+    let leaked: any;
+    store.transaction((transaction) => { leaked = transaction; });
+
+    expect(() => leaked.set("key1", 5)).toThrowError("Transaction has already been completed");
+  });
+
+  test("snapshot and restore", () => {
+    const snapshot = store.snapshot();
+    const listener = jest.fn();
+
+    store.set("key1", 10);
+    store.set("key3", 3);
+    store.addBatchListener(listener);
+    store.restore(snapshot);
+
+    expect([...store]).toEqual([["key1", 1], ["key2", 2]]);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(Object.isFrozen(snapshot)).toBe(true);
+  });
+
+  test("undo and redo changes", () => {
+    store.transaction((transaction) => {
+      transaction.set("key1", 10);
+      transaction.delete("key2");
+    });
+
+    expect(store.undo()).toBe(true);
+    expect([...store]).toEqual([["key1", 1], ["key2", 2]]);
+
+    expect(store.redo()).toBe(true);
+    expect([...store]).toEqual([["key1", 10]]);
+    expect(store.canRedo).toBe(false);
+  });
+
+  test("bound the history", () => {
+    store.set("key1", 10);
+    store.set("key1", 20);
+    store.set("key1", 30);
+
+    expect(store.undo()).toBe(true);
+    expect(store.undo()).toBe(true);
+    expect(store.undo()).toBe(false);
+    expect(store.get("key1")).toBe(10);
+  });
+
+  test("clear redo history on new changes", () => {
+    store.set("key1", 10);
+    store.undo();
+    store.set("key2", 20);
+
+    expect(store.canRedo).toBe(false);
+  });
+});
+
+describe("Expiry and eviction", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("expire entries lazily on get", () => {
+    const store = new Store<number>();
+    const listener = jest.fn();
+    store.addListener("key1", listener);
+
+    store.set("key1", 42, { ttl: 1000 });
+    jest.advanceTimersByTime(999);
+    expect(store.get("key1")).toBe(42);
+
+    jest.advanceTimersByTime(1);
+    expect(store.get("key1")).toBeUndefined();
+    expect(listener).toHaveBeenLastCalledWith(undefined, 42, "expired", "key1");
+  });
+
+  test("apply default ttl and sweep periodically", () => {
+    const store = new Store<number>({ ttl: 1000, sweepInterval: 500 });
+    const listener = jest.fn();
+    store.addListener("key1", listener);
+
+    store.set("key1", 42);
+    store.set("key2", 43, { ttl: 5000 });
+    jest.advanceTimersByTime(1000);
+
+    expect(listener).toHaveBeenLastCalledWith(undefined, 42, "expired", "key1");
+    expect(store.get("key2")).toBe(43);
+    store.stopSweeper();
+  });
+
+  test("refresh ttl when setting the same value", () => {
+    const store = new Store<number>({ ttl: 1000 });
+
+    store.set("key1", 42);
+    jest.advanceTimersByTime(800);
+    store.set("key1", 42);
+    jest.advanceTimersByTime(800);
+
+    expect(store.get("key1")).toBe(42);
+    store.stopSweeper();
+  });
+
+  test("evict least recently used entries", () => {
+    const store = new Store<number>({ maxSize: 2 });
+    const listener = jest.fn();
+    store.addListener("key2", listener);
+
+    store.set("key1", 1);
+    store.set("key2", 2);
+    store.get("key1");
+    store.set("key3", 3);
+
+    expect(store.get("key1")).toBe(1);
+    expect(store.get("key2")).toBeUndefined();
+    expect(store.get("key3")).toBe(3);
+    expect(listener).toHaveBeenLastCalledWith(undefined, 2, "evicted", "key2");
+  });
+
+  test("report deletion reason", () => {
+    const store = new Store<number>();
+    const listener = jest.fn();
+    store.addListener("key1", listener);
+
+    store.set("key1", 42);
+    store.delete("key1");
+    expect(listener).toHaveBeenLastCalledWith(undefined, 42, "deleted", "key1");
+  });
+
+  test("reject invalid ttl and size", () => {
+    expect(() => new Store<number>({ ttl: 0 })).toThrowError("TTL must be a positive number");
+    expect(() => new Store<number>({ maxSize: 0 })).toThrowError("Max size must be a positive number");
+    expect(() => new Store<number>().set("key1", 42, { ttl: -1 })).toThrowError("TTL must be a positive number");
+  });
+});
+
+describe("Validation and derived stores", () => {
+  let namedStores: NamedStores;
+
+  beforeEach(() => {
+    namedStores = new NamedStores();
+  });
+
+  test("validate with a custom validator", () => {
+    const store = namedStores.createStore<number>("numbers", {
+      validate: (value) => value >= 0 || "must be positive"
+    });
+
+    store.set("key1", 42);
+    expect(() => store.set("key2", -1)).toThrowError("Invalid value for key 'key2': must be positive");
+    expect(store.has("key2")).toBe(false);
+  });
+
+  test("validate with the schema dsl", () => {
+    const store = namedStores.createStore<object>("settings", {
+      validate: { prefix: "string", locale: "string?", roles: ["string"], limits: { cooldown: "number" } }
+    });
+
+    store.set("guild1", { prefix: "!", roles: ["admin"], limits: { cooldown: 5 } });
+    expect(() => store.set("guild2", { prefix: 1, roles: [], limits: { cooldown: 5 } }))
+      .toThrowError("Invalid value for key 'guild2': expected 'prefix' to be string, received number");
+    expect(() => store.set("guild2", { prefix: "!", roles: [1], limits: { cooldown: 5 } }))
+      .toThrowError("expected 'roles[0]' to be string, received number");
+    expect(() => store.set("guild2", { prefix: "!", roles: [], limits: null }))
+      .toThrowError("expected 'limits' to be object, received null");
+  });
+
+  test("validate every entry of setMany before applying", () => {
+    const store = namedStores.createStore<number>("numbers", { validate: "number" });
+
+    expect(() => store.setMany({ key1: 1, key2: "2" as any })).toThrowError("Invalid value for key 'key2'");
+    expect(store.size).toBe(0);
+  });
+
+  test("fall back to defaults for missing keys", () => {
+    const store = namedStores.createStore<{ prefix: string }>("settings", { defaults: { prefix: "!" } });
+
+    store.get("guild1")!.prefix = "?";
+    expect(store.get("guild1")).toEqual({ prefix: "!" });
+    expect(store.has("guild1")).toBe(false);
+
+    const keyed = namedStores.createStore<string>("names", { defaults: (key) => `name-${key}` });
+    expect(keyed.get("guild1")).toBe("name-guild1");
+  });
+
+  test("recompute derived stores when sources change", () => {
+    const prices = namedStores.createStore<number>("prices");
+    const quantities = namedStores.createStore<number>("quantities");
+    const totals = namedStores.derive<number>("totals", ["prices", "quantities"], (prices, quantities) =>
+      prices.map((price, key) => [key, price * (quantities.get(key) ?? 0)] as [string, number])
+    );
+    const listener = jest.fn();
+    totals.addListener("apple", listener);
+
+    prices.set("apple", 2);
+    quantities.set("apple", 3);
+    expect(totals.get("apple")).toBe(6);
+    expect(listener).toHaveBeenLastCalledWith(6, 0, "set", "apple");
+
+    prices.delete("apple");
+    expect(totals.has("apple")).toBe(false);
+    expect(namedStores.getStore("totals")).toBe(totals);
+  });
+
+  test("prevent writes to derived stores", () => {
+    namedStores.createStore<number>("numbers");
+    const derived = namedStores.derive<number>("derived", ["numbers"], () => ({}));
+
+    expect(() => derived.set("key1", 1)).toThrowError("Store is read-only");
+    expect(() => derived.clear()).toThrowError("Store is read-only");
+  });
+
+  test("stop recomputing deleted derived stores", () => {
+    const numbers = namedStores.createStore<number>("numbers");
+    const compute = jest.fn(() => ({}));
+    namedStores.derive<number>("derived", ["numbers"], compute);
+
+    namedStores.deleteStore("derived");
+    numbers.set("key1", 1);
+    expect(compute).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Persistence", () => {
+  let directory: string;
+
+  beforeEach(async () => {
+    directory = await promises.mkdtemp(path.join(os.tmpdir(), "aezen-stores-"));
+  });
+
+  afterEach(async () => {
+    await promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test("hydrate and flush with memory adapter", async () => {
+    const adapter = new MemoryAdapter<number>({ key1: 42 });
+    const store = new Store<number>({ adapter });
+
+    await store.hydrate();
+    expect(store.get("key1")).toBe(42);
+
+    store.set("key2", 43);
+    await store.flush();
+    expect(adapter.snapshot).toEqual({ key1: 42, key2: 43 });
+  });
+
+  test("debounce writes with json file adapter", async () => {
+    const file = path.join(directory, "nested", "numbers.json");
+    const adapter = new JsonFileAdapter<number>({ path: file, debounce: 50 });
+    const store = new Store<number>({ adapter });
+
+    store.set("key1", 42);
+    store.set("key2", 43);
+    await expect(promises.access(file)).rejects.toThrow();
+
+    await store.flush();
+    expect(JSON.parse(await promises.readFile(file, "utf-8"))).toEqual({ data: { key1: 42, key2: 43 }, expires: {} });
+    expect(await promises.readdir(path.dirname(file))).toEqual(["numbers.json"]);
+  });
+
+  test("restore named stores separately", async () => {
+    const namedStores = new NamedStores();
+    const numbers = namedStores.createStore<number>("numbers", { adapter: new JsonFileAdapter({ path: path.join(directory, "numbers.json") }) });
+    const strings = namedStores.createStore<string>("strings", { adapter: new JsonFileAdapter({ path: path.join(directory, "strings.json") }) });
+
+    numbers.set("key1", 42);
+    strings.set("key1", "value");
+    await namedStores.flush();
+
+    const restored = new NamedStores();
+    restored.createStore<number>("numbers", { adapter: new JsonFileAdapter({ path: path.join(directory, "numbers.json") }) });
+    restored.createStore<string>("strings", { adapter: new JsonFileAdapter({ path: path.join(directory, "strings.json") }) });
+    await restored.hydrate();
+
+    expect(restored.getStore<number>("numbers").get("key1")).toBe(42);
+    expect(restored.getStore<string>("strings").get("key1")).toBe("value");
+  });
+
+  test("skip invalid persisted values", async () => {
+    const store = new Store<number>({ adapter: new MemoryAdapter<any>({ key1: 1, key2: "2" }), validate: "number" });
+    const errorListener = jest.fn();
+    store.onError(errorListener);
+
+    await store.hydrate();
+    expect(store.get("key1")).toBe(1);
+    expect(store.has("key2")).toBe(false);
+    expect(errorListener).toHaveBeenCalledWith(expect.any(Error), "key2");
+  });
+
+  test("persist expiry timestamps", async () => {
+    const file = path.join(directory, "cooldowns.json");
+    const store = new Store<number>({ adapter: new JsonFileAdapter({ path: file }), ttl: 50 });
+
+    store.set("user1", 1);
+    store.set("user2", 2, { ttl: 5000 });
+    await store.flush();
+
+    const restored = new Store<number>({ adapter: new JsonFileAdapter({ path: file }), ttl: 50 });
+    await restored.hydrate();
+    expect(restored.get("user1")).toBe(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    expect(restored.has("user1")).toBe(false);
+    expect(restored.get("user2")).toBe(2);
+    restored.stopSweeper();
+  });
+
+  test("skip expired entries and apply the default TTL when hydrating", async () => {
+    const adapter = new MemoryAdapter<number>({ expired: 1, fresh: 2, plain: 3 }, { expired: Date.now() - 1, fresh: Date.now() + 5000 });
+    const store = new Store<number>({ adapter, ttl: 50 });
+
+    await store.hydrate();
+    expect(store.has("expired")).toBe(false);
+    expect(store.get("fresh")).toBe(2);
+    expect(store.get("plain")).toBe(3);
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    expect(store.has("plain")).toBe(false);
+    expect(store.get("fresh")).toBe(2);
+    store.stopSweeper();
+  });
+
+  test("notify listeners and derived stores when hydrating", async () => {
+    const namedStores = new NamedStores();
+    const numbers = namedStores.createStore<number>("numbers", { adapter: new MemoryAdapter({ x: 1, y: 2 }) });
+    const sum = namedStores.derive<number>("sum", ["numbers"], (numbers) => ({ total: numbers.map((value) => value).reduce((a, b) => a + b, 0) }));
+    const batchListener = jest.fn();
+    numbers.addBatchListener(batchListener);
+
+    await namedStores.hydrate();
+    expect(numbers.size).toBe(2);
+    expect(sum.get("total")).toBe(3);
+    expect(batchListener).toHaveBeenCalledTimes(1);
+    expect(batchListener).toHaveBeenCalledWith([
+      { key: "x", newValue: 1, oldValue: undefined, reason: "set" },
+      { key: "y", newValue: 2, oldValue: undefined, reason: "set" },
+    ]);
+  });
+
+  test("evict entries over maxSize when hydrating", async () => {
+    const store = new Store<number>({ adapter: new MemoryAdapter({ key1: 1, key2: 2, key3: 3 }), maxSize: 2 });
+    const listener = jest.fn();
+    store.addListener("key1", listener);
+
+    await store.hydrate();
+    expect(store.size).toBe(2);
+    expect(store.has("key1")).toBe(false);
+    expect([...store.keys()]).toEqual(["key2", "key3"]);
+    expect(listener).toHaveBeenLastCalledWith(undefined, 1, "evicted", "key1");
+  });
+
+  test("require an adapter to hydrate", async () => {
+    await expect(new Store<number>().hydrate()).rejects.toThrowError("Store does not have an adapter");
+  });
+});
+
+describe("Sync", () => {
+  let ports: MessagePort[];
+  let shards: NamedStores[];
+
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+  beforeEach(() => {
+    const first = new MessageChannel();
+    const second = new MessageChannel();
+    ports = [first.port1, first.port2, second.port1, second.port2];
+
+    // The hub relays between shards without holding any stores itself.
+    new NamedStores().sync(new IpcChannel([first.port1, second.port1]));
+
+    shards = [new NamedStores(), new NamedStores()];
+    shards[0].sync(new IpcChannel(first.port2), { id: "a" });
+    shards[1].sync(new IpcChannel(second.port2), { id: "b" });
+  });
+
+  afterEach(() => {
+    ports.forEach((port) => port.close());
+  });
+
+  test("broadcast sets and deletes to other shards", async () => {
+    const first = shards[0].createStore<number>("numbers");
+    const second = shards[1].createStore<number>("numbers");
+
+    first.set("key1", 42);
+    await tick();
+    expect(second.get("key1")).toBe(42);
+
+    second.delete("key1");
+    await tick();
+    expect(first.has("key1")).toBe(false);
+  });
+
+  test("resolve concurrent writes with last write wins", async () => {
+    const first = shards[0].createStore<number>("numbers");
+    const second = shards[1].createStore<number>("numbers");
+
+    first.set("key1", 1);
+    second.set("key1", 2);
+    await tick();
+    expect(first.get("key1")).toBe(2);
+    expect(second.get("key1")).toBe(2);
+
+    first.set("key1", 3);
+    await tick();
+    expect(second.get("key1")).toBe(3);
+  });
+
+  test("stop syncing a deleted store", async () => {
+    const first = shards[0].createStore<number>("numbers");
+    const second = shards[1].createStore<number>("numbers");
+    shards[1].deleteStore("numbers");
+
+    first.set("key1", 42);
+    await tick();
+    expect(second.has("key1")).toBe(false);
+  });
+
+  test("report rejected remote writes to the store error listeners", async () => {
+    const first = shards[0].createStore<any>("numbers");
+    const second = shards[1].createStore<number>("numbers", { validate: "number" });
+    const errorListener = jest.fn();
+    second.onError(errorListener);
+
+    first.set("key1", "42");
+    await tick();
+    expect(second.has("key1")).toBe(false);
+    expect(errorListener).toHaveBeenCalledWith(expect.any(Error), "key1");
+  });
+
+  test("only advance versions for applied remote writes", () => {
+    let receive: (message: SyncMessage) => void = () => {};
+    const sync = new StoreSync({ send: () => {}, subscribe: (handler) => (receive = handler, () => {}) }, { id: "b" });
+    const store = new Store<number>({ validate: "number" });
+    const message = { type: "aezen:stores:sync", origin: "a", store: "numbers", key: "key1", action: "set", version: 1 } as const;
+    store.onError(() => {});
+    sync.attach("numbers", store);
+
+    receive({ ...message, value: "42" });
+    expect(store.has("key1")).toBe(false);
+
+    receive({ ...message, value: 42 });
+    expect(store.get("key1")).toBe(42);
+    sync.close();
+  });
+
+  test("require an ipc channel", () => {
+    expect(() => new IpcChannel({ on: () => {} })).toThrowError("Endpoint is not connected to an IPC channel");
+  });
+});